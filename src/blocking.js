@@ -0,0 +1,167 @@
+// Block, paywall and rate-limit handling - detection, Retry-After, adaptive concurrency and counts
+
+// Interstitials that are never a real page, whatever else they contain
+const CHALLENGE_TITLE =
+    /just a moment|attention required|access denied|pardon our interruption|are you a robot|security check|verify you are human/i;
+const CHALLENGE_ELEMENTS = '#px-captcha, #challenge-form, #cf-challenge-running, form[action*="captcha"]';
+
+// Markers that also show up on normal pages (newsletter reCAPTCHA, "Subscribe" banners),
+// so they only count when the page yielded no usable content
+const CAPTCHA_ELEMENTS = '[id*="captcha"], [class*="captcha"], iframe[src*="captcha"]';
+const CAPTCHA_TEXT = /verify (?:that )?you are (?:a )?human|unusual traffic|automated (?:access|requests)/i;
+const PAYWALL_ELEMENTS = '[class*="paywall"], [class*="Paywall"], [id*="paywall"], [data-testid*="paywall"]';
+const PAYWALL_TEXT =
+    /subscribe (?:now )?to (?:continue|keep reading|read|unlock)|to continue reading|already a subscriber\?|you(?:'ve| have) reached your (?:article )?limit/i;
+
+export const blockFromStatus = (statusCode) => {
+    if (statusCode === 429) return { type: 'rate_limited', status: 429, reason: 'HTTP 429' };
+    if (statusCode === 401 || statusCode === 403) {
+        return { type: 'forbidden', status: statusCode, reason: `HTTP ${statusCode}` };
+    }
+    if (statusCode === 503) return { type: 'unavailable', status: 503, reason: 'HTTP 503' };
+    return null;
+};
+
+// crawlee reports blocked navigations as "... received 403 status code" and 5xx responses as "503 - Internal Server
+// Error: <body>"; both are thrown before the request handler runs, so only the error handlers see them
+export const statusFromError = (error) => {
+    const message = String(error?.message || '');
+    const match = message.match(/\b([1-5]\d\d) status code/) || message.match(/^([1-5]\d\d) - /);
+    return match ? Number(match[1]) : null;
+};
+
+// Returns { type, status, reason } or null. hasContent says whether the page gave what was asked of it
+// (recipe links on a listing, core fields on a recipe) and keeps weak markers from flagging good pages.
+export const detectBlock = ($, { statusCode = null, hasContent = false } = {}) => {
+    const byStatus = blockFromStatus(statusCode);
+    if (byStatus) return byStatus;
+    const title = $('title').first().text().trim();
+    if (CHALLENGE_TITLE.test(title)) return { type: 'captcha', status: statusCode, reason: `challenge page "${title}"` };
+    if ($(CHALLENGE_ELEMENTS).length) return { type: 'captcha', status: statusCode, reason: 'challenge form' };
+    if (hasContent) return null;
+
+    const text = $('body').text().replace(/\s+/g, ' ');
+    if ($(CAPTCHA_ELEMENTS).length || CAPTCHA_TEXT.test(text)) {
+        return { type: 'captcha', status: statusCode, reason: 'captcha markers' };
+    }
+    if ($(PAYWALL_ELEMENTS).length || PAYWALL_TEXT.test(text)) {
+        return { type: 'paywall', status: statusCode, reason: 'paywall markers' };
+    }
+    return null;
+};
+
+// Thrown from the request handler so crawlee retries the request on a fresh session
+export const blockedError = (block) =>
+    Object.assign(new Error(`Blocked (${block.type}): ${block.reason}`), { block });
+
+// Retry-After is either delta-seconds or an HTTP date; returns milliseconds or null
+export const parseRetryAfter = (value, now = Date.now()) => {
+    if (value === null || value === undefined || value === '') return null;
+    const raw = Array.isArray(value) ? value[0] : String(value).trim();
+    if (/^\d+$/.test(raw)) return Number(raw) * 1000;
+    const date = Date.parse(raw);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// Halves the pool's concurrency on every rate limit, adds one back after a run of clean responses,
+// and pauses the pool for Retry-After (capped so one bad header cannot stall the run)
+export const createThrottle = ({
+    getPool,
+    maxConcurrency,
+    minConcurrency = 1,
+    rampUpAfter = 20,
+    defaultPauseMs = 10000,
+    maxPauseMs = 120000,
+    log = null,
+}) => {
+    let current = maxConcurrency;
+    let lowest = maxConcurrency;
+    let successes = 0;
+    let pausedUntil = 0;
+    // Kept so stop() can clear it: a pending pause must not hold the process open after the run
+    let timer = null;
+
+    const apply = () => {
+        const pool = getPool();
+        if (!pool) return;
+        pool.maxConcurrency = current;
+        if (pool.desiredConcurrency > current) pool.desiredConcurrency = current;
+    };
+
+    const pause = (ms) => {
+        const pool = getPool();
+        const until = Date.now() + Math.min(ms, maxPauseMs);
+        if (!pool || until <= pausedUntil) return;
+        pausedUntil = until;
+        // Not awaited: pause() resolves only once running requests finish, and this runs inside one of them
+        pool.pause().catch(() => {});
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            pausedUntil = 0;
+            getPool()?.resume();
+        }, until - Date.now());
+        log?.warning(`Rate limited: pausing requests for ${Math.round((until - Date.now()) / 1000)}s`);
+    };
+
+    return {
+        onRateLimited: (retryAfterMs = null) => {
+            successes = 0;
+            const next = Math.max(minConcurrency, Math.floor(current / 2));
+            if (next < current) {
+                current = next;
+                lowest = Math.min(lowest, current);
+                apply();
+                log?.warning(`Rate limited: concurrency lowered to ${current}`);
+            }
+            pause(retryAfterMs ?? defaultPauseMs);
+        },
+        onSuccess: () => {
+            if (current >= maxConcurrency) return;
+            successes += 1;
+            if (successes < rampUpAfter) return;
+            successes = 0;
+            current += 1;
+            apply();
+            log?.info(`No rate limits lately: concurrency raised to ${current}`);
+        },
+        stats: () => ({ max_concurrency: maxConcurrency, current_concurrency: current, lowest_concurrency: lowest }),
+        stop: () => {
+            clearTimeout(timer);
+            timer = null;
+            pausedUntil = 0;
+        },
+    };
+};
+
+// Block counts by type and status, plus the retired sessions and URLs hit most
+export const createBlockReport = () => {
+    const byType = {};
+    const byStatus = {};
+    const urls = {};
+    let total = 0;
+    let sessionsRetired = 0;
+    return {
+        add: (block, url = null) => {
+            total += 1;
+            byType[block.type] = (byType[block.type] || 0) + 1;
+            if (block.status) byStatus[block.status] = (byStatus[block.status] || 0) + 1;
+            if (url) urls[url] = (urls[url] || 0) + 1;
+        },
+        sessionRetired: () => {
+            sessionsRetired += 1;
+        },
+        toJSON: () => ({
+            blocked: total,
+            by_type: { ...byType },
+            by_status: { ...byStatus },
+            sessions_retired: sessionsRetired,
+            top_urls: Object.entries(urls)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 10)
+                .map(([url, count]) => ({ url, count })),
+        }),
+        get blocked() {
+            return total;
+        },
+    };
+};
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+// Offline parser - turns saved recipe pages into the same items the actor pushes, no Apify platform needed
+import { readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import { extname, join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { load as cheerioLoad } from 'cheerio';
+import { TARGET_UNITS } from './conversion.js';
+import { parseRecipePage } from './parser.js';
+
+const USAGE = `Usage: epicurious-parse [options] <file-or-directory>...
+
+Options:
+  --ndjson             One JSON item per line instead of a JSON array
+  -o, --output <file>  Write to a file instead of stdout
+  --base-url <url>     Page URL for files without a canonical link (file name is appended)
+  --recipe-type <type> recipe_type to tag items with, e.g. vegetarian
+  --reviews            Include reviews
+  --units <system>     Add converted ingredients and instructions: metric or us
+  --servings <n>       Add ingredients scaled to n servings
+  -h, --help           Show this help`;
+
+const HTML_EXTENSIONS = new Set(['.html', '.htm', '.xhtml']);
+
+// Directories are walked recursively; only HTML files are picked up from them
+const collectFiles = async (paths) => {
+    const files = [];
+    for (const path of paths) {
+        const info = await stat(path);
+        if (!info.isDirectory()) {
+            files.push(path);
+            continue;
+        }
+        const entries = await readdir(path, { withFileTypes: true });
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            const child = join(path, entry.name);
+            if (entry.isDirectory()) files.push(...(await collectFiles([child])));
+            else if (HTML_EXTENSIONS.has(extname(entry.name).toLowerCase())) files.push(child);
+        }
+    }
+    return files;
+};
+
+// Saved pages usually keep their canonical link, which is the URL the actor would have used
+const pageUrl = (html, file, baseUrl) => {
+    const $ = cheerioLoad(html);
+    const canonical = $('link[rel="canonical"]').attr('href') || $('meta[property="og:url"]').attr('content');
+    if (canonical && /^https?:\/\//.test(canonical)) return canonical;
+    if (baseUrl) {
+        const slug = file.split(/[\\/]/).pop().replace(/\.x?html?$/i, '');
+        return new URL(slug, baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`).href;
+    }
+    return pathToFileURL(resolve(file)).href;
+};
+
+const main = async () => {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            ndjson: { type: 'boolean', default: false },
+            output: { type: 'string', short: 'o' },
+            'base-url': { type: 'string' },
+            'recipe-type': { type: 'string' },
+            reviews: { type: 'boolean', default: false },
+            units: { type: 'string' },
+            servings: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+    if (values.help || !positionals.length) {
+        console.log(USAGE);
+        process.exitCode = values.help ? 0 : 1;
+        return;
+    }
+    if (values.units && !TARGET_UNITS.includes(values.units)) {
+        throw new Error(`--units must be one of: ${TARGET_UNITS.join(', ')}`);
+    }
+    if (values.servings !== undefined && !(Number(values.servings) > 0)) {
+        throw new Error('--servings must be a positive number');
+    }
+
+    const items = [];
+    let failed = 0;
+    for (const file of await collectFiles(positionals)) {
+        try {
+            const html = await readFile(file, 'utf8');
+            items.push(
+                parseRecipePage(html, pageUrl(html, file, values['base-url']), {
+                    recipeType: values['recipe-type'] || null,
+                    includeReviews: values.reviews,
+                    targetUnits: values.units || null,
+                    targetServings: values.servings ? Number(values.servings) : null,
+                }),
+            );
+        } catch (err) {
+            failed += 1;
+            console.error(`Failed to parse ${file}: ${err.message}`);
+        }
+    }
+
+    const output = values.ndjson
+        ? items.map((item) => `${JSON.stringify(item)}\n`).join('')
+        : `${JSON.stringify(items, null, 2)}\n`;
+    if (values.output) await writeFile(values.output, output);
+    else process.stdout.write(output);
+    console.error(`Parsed ${items.length} recipe pages${failed ? `, ${failed} failed` : ''}`);
+    if (failed) process.exitCode = 1;
+};
+
+main().catch((err) => {
+    console.error('Fatal error:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,211 @@
+// Unit conversion and serving scaling - metric/US ingredient lines and oven temperatures
+import { splitMeasure } from './ingredients.js';
+
+export const TARGET_UNITS = ['metric', 'us'];
+
+// Everything is converted through a base unit: ml for volume, g for weight, cm for length
+const VOLUME_ML = {
+    tsp: 4.929,
+    tbsp: 14.787,
+    'fl oz': 29.574,
+    cup: 236.588,
+    pint: 473.176,
+    quart: 946.353,
+    gallon: 3785.41,
+    ml: 1,
+    l: 1000,
+};
+const WEIGHT_G = { oz: 28.3495, lb: 453.592, g: 1, kg: 1000 };
+const LENGTH_CM = { inch: 2.54 };
+
+const METRIC_UNITS = new Set(['ml', 'l', 'g', 'kg', 'cm']);
+// Spoon measures are used as-is in metric kitchens too
+const SPOONS = new Set(['tsp', 'tbsp']);
+
+const FRIENDLY_FRACTIONS = [
+    [0, ''],
+    [1 / 8, '1/8'],
+    [1 / 4, '1/4'],
+    [1 / 3, '1/3'],
+    [1 / 2, '1/2'],
+    [2 / 3, '2/3'],
+    [3 / 4, '3/4'],
+    [1, ''],
+];
+
+// 1.5 -> "1 1/2", 0.3 -> "1/3"; nothing smaller than 1/8 is shown as 0
+export const formatFraction = (value) => {
+    if (!Number.isFinite(value)) return '';
+    let whole = Math.floor(value);
+    const [frac, label] = FRIENDLY_FRACTIONS.reduce((best, candidate) =>
+        Math.abs(candidate[0] - (value - whole)) < Math.abs(best[0] - (value - whole)) ? candidate : best,
+    );
+    if (frac === 1) whole += 1;
+    if (!whole && !label) return '1/8';
+    return [whole || null, label || null].filter(Boolean).join(' ');
+};
+
+const trimNumber = (value, decimals) => String(Number(value.toFixed(decimals)));
+
+// Metric amounts are rounded coarser as they grow: 7 ml, 45 ml, 470 ml, 1.2 l
+const formatMetric = (value, unit) => {
+    if (unit === 'cm') return trimNumber(Math.round(value * 2) / 2, 1);
+    if (unit === 'l' || unit === 'kg') return trimNumber(value, value < 10 ? 1 : 0);
+    if (value < 10) return trimNumber(value, 1);
+    if (value < 100) return String(Math.round(value / 5) * 5 || Math.round(value));
+    if (value < 250) return String(Math.round(value / 5) * 5);
+    return String(Math.round(value / 10) * 10);
+};
+
+// Decided on the amount as printed: 1.057 cups prints as "1", so it reads "1 cup"
+const pluralize = (unit, amount) => {
+    const singular = amount === '1' || /^\d+\/\d+$/.test(amount);
+    if (!unit || singular || /^(tsp|tbsp|fl oz|oz|lb|g|kg|ml|l|cm)$/.test(unit)) return unit;
+    return /(ch|sh)$/.test(unit) ? `${unit}es` : `${unit}s`;
+};
+
+const pickMetricUnit = (base, kind) => {
+    if (kind === 'volume') return base >= 1000 ? ['l', base / 1000] : ['ml', base];
+    if (kind === 'weight') return base >= 1000 ? ['kg', base / 1000] : ['g', base];
+    return ['cm', base];
+};
+
+const pickUsUnit = (base, kind) => {
+    if (kind === 'weight') return base >= WEIGHT_G.lb ? ['lb', base / WEIGHT_G.lb] : ['oz', base / WEIGHT_G.oz];
+    if (kind === 'length') return ['inch', base / LENGTH_CM.inch];
+    // Under 1/4 cup spoons read better than cup fractions
+    if (base < VOLUME_ML.tbsp) return ['tsp', base / VOLUME_ML.tsp];
+    if (base < VOLUME_ML.cup / 4) return ['tbsp', base / VOLUME_ML.tbsp];
+    return ['cup', base / VOLUME_ML.cup];
+};
+
+const unitKind = (unit) => {
+    if (unit in VOLUME_ML) return ['volume', VOLUME_ML[unit]];
+    if (unit in WEIGHT_G) return ['weight', WEIGHT_G[unit]];
+    if (unit in LENGTH_CM) return ['length', LENGTH_CM[unit]];
+    return [null, null];
+};
+
+// "14-oz." package sizes inside the parentheses follow the target system too
+const convertSize = (size, targetUnits) => {
+    if (!size || targetUnits !== 'metric') return size;
+    return size.replace(/(\d+(?:\.\d+)?)\s*-?\s*(?:ounces?|oz)\.?/i, (_, amount) => {
+        const grams = Number(amount) * WEIGHT_G.oz;
+        return `${formatMetric(grams, 'g')}-g`;
+    });
+};
+
+// Returns { text, quantity, quantity_max, unit, scaled, converted, flag } for one ingredient line.
+// flag is "no_quantity" (nothing to scale or convert, the line is kept as is) or "unit_not_convertible"
+// (bunch, can, clove...: scaled, but the unit stays).
+export const convertIngredientLine = (line, { factor = 1, targetUnits = null } = {}) => {
+    const measure = splitMeasure(line);
+    const result = {
+        text: String(line || '').trim(),
+        original: String(line || '').trim(),
+        quantity: measure.quantity,
+        quantity_max: measure.quantity_max,
+        unit: measure.unit,
+        scaled: false,
+        converted: false,
+        flag: null,
+    };
+    if (measure.quantity === null) {
+        result.flag = 'no_quantity';
+        return result;
+    }
+
+    const [kind, toBase] = unitKind(measure.unit);
+    let unit = measure.unit;
+    let quantity = measure.quantity * factor;
+    let quantityMax = measure.quantity_max !== null ? measure.quantity_max * factor : null;
+
+    const keepSpoon = targetUnits === 'metric' && SPOONS.has(unit);
+    const wantsConversion =
+        kind &&
+        !keepSpoon &&
+        ((targetUnits === 'metric' && !METRIC_UNITS.has(unit)) ||
+            (targetUnits === 'us' && METRIC_UNITS.has(unit)) ||
+            // Scaled US volumes may need another unit: 1/2 of 1/4 cup is 2 tbsp
+            (factor !== 1 && kind === 'volume' && !METRIC_UNITS.has(unit) && targetUnits !== 'metric'));
+    if (wantsConversion) {
+        const system = targetUnits || (METRIC_UNITS.has(unit) ? 'metric' : 'us');
+        const pick = system === 'metric' ? pickMetricUnit : pickUsUnit;
+        const [newUnit, newQuantity] = pick(quantity * toBase, kind);
+        quantityMax = quantityMax !== null ? (quantityMax * toBase * newQuantity) / (quantity * toBase) : null;
+        result.converted = newUnit !== unit;
+        unit = newUnit;
+        quantity = newQuantity;
+    } else if (!kind && unit) {
+        // "2 cloves", "1 bunch": there is no other unit to give them in, so only the count changes
+        result.flag = 'unit_not_convertible';
+    }
+
+    result.scaled = factor !== 1;
+    const size = convertSize(measure.size, targetUnits);
+    if (!result.scaled && !result.converted && size === measure.size) return result;
+
+    const metric = METRIC_UNITS.has(unit);
+    const format = (value) => (metric ? formatMetric(value, unit) : formatFraction(value));
+    const amount = quantityMax !== null ? `${format(quantity)}–${format(quantityMax)}` : format(quantity);
+    const toNumber = (value) => Number(metric ? formatMetric(value, unit) : value.toFixed(3));
+    result.quantity = toNumber(quantity);
+    result.quantity_max = quantityMax !== null ? toNumber(quantityMax) : null;
+    result.unit = unit;
+    result.text = [
+        measure.approx,
+        amount,
+        size ? `(${size})` : null,
+        pluralize(unit, quantityMax !== null ? format(quantityMax) : format(quantity)),
+        measure.rest,
+    ]
+        .filter(Boolean)
+        .join(' ');
+    return result;
+};
+
+const roundTo5 = (value) => Math.round(value / 5) * 5;
+
+const TEMPERATURE = /(\d{2,3})\s*(?:°|º|degrees?)\s*(fahrenheit|celsius|f|c)?(?![a-z])/gi;
+const DUAL_AFTER = /^\s*(?:\/|\(|or)\s*\d{2,3}\s*(?:°|º|degrees?)/i;
+const DUAL_BEFORE = /\d{2,3}\s*(?:°|º|degrees?)\s*(?:fahrenheit|celsius|f|c)?\s*(?:\/|\(|or)\s*$/i;
+
+// Oven temperatures in instruction text: "350°F" -> "175°C". Bare "350°" counts as Fahrenheit from 200 up;
+// temperatures already given in both scales ("350°F (175°C)") are left alone.
+export const convertTemperatures = (text, targetUnits) => {
+    if (!text || !TARGET_UNITS.includes(targetUnits)) return text;
+    return text.replace(TEMPERATURE, (match, degrees, scale, offset, whole) => {
+        if (DUAL_AFTER.test(whole.slice(offset + match.length)) || DUAL_BEFORE.test(whole.slice(0, offset))) {
+            return match;
+        }
+        const letter = scale?.[0].toLowerCase() || (Number(degrees) >= 200 ? 'f' : null);
+        if (targetUnits === 'metric' && letter === 'f') return `${roundTo5(((Number(degrees) - 32) * 5) / 9)}°C`;
+        if (targetUnits === 'us' && letter === 'c') return `${roundTo5((Number(degrees) * 9) / 5 + 32)}°F`;
+        return match;
+    });
+};
+
+// Converted copies of a recipe's ingredients and instructions; the originals are left as they are
+export const convertRecipe = (
+    { ingredients = [], instructions = [], yieldQuantity = null, yieldUnit = 'servings' },
+    { targetUnits = null, targetServings = null } = {},
+) => {
+    const units = TARGET_UNITS.includes(targetUnits) ? targetUnits : null;
+    // "Makes 24 cookies" says nothing about servings, so only a yield in servings is scaled from
+    const canScale = Boolean(targetServings && yieldQuantity && yieldUnit === 'servings');
+    const factor = canScale ? targetServings / yieldQuantity : 1;
+    const lines = ingredients.map((line) => convertIngredientLine(line, { factor, targetUnits: units }));
+    return {
+        ingredients_converted: lines,
+        instructions_converted: units ? instructions.map((step) => convertTemperatures(step, units)) : instructions,
+        conversion: {
+            target_units: units,
+            target_servings: targetServings || null,
+            source_servings: yieldUnit === 'servings' ? yieldQuantity : null,
+            scale_factor: Math.round(factor * 1000) / 1000,
+            // Without a yield in servings there is nothing to scale from; quantities keep their size
+            scaling_skipped: Boolean(targetServings) && !canScale,
+            flagged_lines: lines.filter((line) => line.flag).length,
+        },
+    };
+};
@@ -0,0 +1,80 @@
+// Duplicate detection - the same recipe reached through another slug, a redirect or an AMP page
+import { createHash } from 'node:crypto';
+import { replaceUnicodeFractions } from './ingredients.js';
+
+const normalizeText = (value) =>
+    replaceUnicodeFractions(String(value || ''))
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9/.]+/g, ' ')
+        .trim();
+
+// Title plus the sorted ingredient lines, so reordered or re-spaced copies still match.
+// Null without a title or ingredients: two empty pages are not the same recipe.
+export const contentFingerprint = (item) => {
+    const title = normalizeText(item?.title);
+    const ingredients = (item?.ingredients || []).map(normalizeText).filter(Boolean).sort();
+    if (!title || !ingredients.length) return null;
+    return createHash('sha1')
+        .update(JSON.stringify([title, ingredients]))
+        .digest('hex')
+        .slice(0, 16);
+};
+
+// Saved recipes indexed by canonical URL and by content fingerprint
+export const createDuplicateIndex = () => {
+    const entries = [];
+    const byUrl = new Map();
+    const byFingerprint = new Map();
+    const byRule = {};
+    let duplicates = 0;
+
+    return {
+        // Returns { entry, rule } for an already saved recipe, or null
+        find: ({ canonicalUrl, fingerprint }) => {
+            if (canonicalUrl && byUrl.has(canonicalUrl)) {
+                return { entry: byUrl.get(canonicalUrl), rule: 'canonical_url' };
+            }
+            if (fingerprint && byFingerprint.has(fingerprint)) {
+                return { entry: byFingerprint.get(fingerprint), rule: 'content' };
+            }
+            return null;
+        },
+        add: ({ canonicalUrl, fingerprint, url, title, aliasUrls = [] }) => {
+            const entry = { canonical_url: canonicalUrl, url, title, alias_urls: new Set(aliasUrls), later: new Set() };
+            entries.push(entry);
+            // Every alias also points at the entry, so a link to an old slug is caught before content is compared
+            for (const alias of aliasUrls) byUrl.set(alias, entry);
+            if (canonicalUrl) byUrl.set(canonicalUrl, entry);
+            if (fingerprint) byFingerprint.set(fingerprint, entry);
+            return entry;
+        },
+        // A duplicate's URLs become aliases of the saved recipe. The item is already pushed,
+        // so aliases found later are only reported (see toJSON)
+        merge: ({ entry, rule }, urls) => {
+            duplicates += 1;
+            byRule[rule] = (byRule[rule] || 0) + 1;
+            for (const url of urls) {
+                if (!url || url === entry.canonical_url || entry.alias_urls.has(url)) continue;
+                entry.later.add(url);
+                byUrl.set(url, entry);
+            }
+        },
+        toJSON: () => ({
+            duplicates,
+            by_rule: { ...byRule },
+            recipes: entries
+                .filter((entry) => entry.later.size)
+                .map((entry) => ({
+                    canonical_url: entry.canonical_url,
+                    url: entry.url,
+                    title: entry.title,
+                    alias_urls: [...entry.alias_urls, ...entry.later],
+                })),
+        }),
+        get duplicates() {
+            return duplicates;
+        },
+    };
+};
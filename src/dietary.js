@@ -0,0 +1,449 @@
+// Dietary + allergen inference - labels come from ingredient lines, not from the collection a recipe was listed in
+
+// Each rule lists keywords that put a line in the group, phrases that look alike but do not
+// ("coconut milk" is not milk) and qualifiers that clear the whole line ("gluten-free flour").
+// Soft keywords are ambiguous ("broth" may be vegetable broth) and are forgiven when the
+// recipe's own tags claim the diet.
+const GROUPS = {
+    meat: {
+        include: [
+            'beef',
+            'steak',
+            'veal',
+            'pork',
+            'bacon',
+            'pancetta',
+            'prosciutto',
+            'ham',
+            'sausage',
+            'chorizo',
+            'salami',
+            'pepperoni',
+            'lamb',
+            'mutton',
+            'goat',
+            'venison',
+            'rabbit',
+            'chicken',
+            'turkey',
+            'duck',
+            'goose',
+            'quail',
+            'meat',
+            'meatball',
+            'ground chuck',
+            'brisket',
+            'short rib',
+            'oxtail',
+            'lard',
+            'suet',
+            'gelatin',
+            'bone marrow',
+            'foie gras',
+            'guanciale',
+        ],
+        soft: ['broth', 'stock', 'bouillon', 'demi-glace'],
+        skipLine: ['vegan', 'vegetarian', 'meatless', 'plant-based'],
+        except: [
+            'vegetable broth',
+            'vegetable stock',
+            'veggie broth',
+            'mushroom broth',
+            'mushroom stock',
+            'vegetable bouillon',
+            'goat cheese',
+            "goat's milk",
+            'goat milk',
+            'crab meat',
+            'crabmeat',
+            'lobster meat',
+            'coconut meat',
+        ],
+    },
+    fish: {
+        include: [
+            'fish',
+            'salmon',
+            'tuna',
+            'cod',
+            'halibut',
+            'trout',
+            'tilapia',
+            'sardine',
+            'anchovy',
+            'anchovies',
+            'mackerel',
+            'snapper',
+            'sea bass',
+            'branzino',
+            'haddock',
+            'swordfish',
+            'catfish',
+            'bonito',
+            'caviar',
+            'roe',
+        ],
+        soft: ['worcestershire', 'dashi', 'caesar dressing'],
+        skipLine: ['vegan', 'vegetarian'],
+        except: ['kombu dashi'],
+    },
+    shellfish: {
+        include: [
+            'shrimp',
+            'prawn',
+            'crab',
+            'lobster',
+            'crawfish',
+            'crayfish',
+            'langoustine',
+            'clam',
+            'mussel',
+            'oyster',
+            'scallop',
+            'squid',
+            'calamari',
+            'octopus',
+            'shellfish',
+        ],
+        // Oyster sauce is made from oysters, so "oyster" already makes it shellfish; mushroom versions are cleared below
+        soft: [],
+        skipLine: ['vegan', 'vegetarian'],
+        except: ['oyster mushroom', 'mushroom oyster sauce'],
+    },
+    milk: {
+        include: [
+            'milk',
+            'butter',
+            'buttermilk',
+            'cream',
+            'cheese',
+            'parmesan',
+            'parmigiano',
+            'pecorino',
+            'mozzarella',
+            'ricotta',
+            'feta',
+            'cheddar',
+            'gruyère',
+            'gruyere',
+            'mascarpone',
+            'yogurt',
+            'yoghurt',
+            'crème fraîche',
+            'creme fraiche',
+            'ghee',
+            'whey',
+            'casein',
+            'half-and-half',
+            'paneer',
+            'burrata',
+            'labneh',
+            'kefir',
+        ],
+        soft: [],
+        skipLine: ['nondairy', 'non-dairy', 'dairy-free', 'vegan', 'plant-based'],
+        except: [
+            'coconut milk',
+            'coconut cream',
+            'almond milk',
+            'oat milk',
+            'soy milk',
+            'soymilk',
+            'rice milk',
+            'cashew milk',
+            'cashew cream',
+            'peanut butter',
+            'almond butter',
+            'cashew butter',
+            'nut butter',
+            'sunflower seed butter',
+            'apple butter',
+            'cocoa butter',
+            'cacao butter',
+            'shea butter',
+            'butter beans',
+            'butter lettuce',
+            'butternut',
+            'cream of tartar',
+        ],
+    },
+    egg: {
+        include: ['egg', 'yolk', 'egg white', 'mayonnaise', 'mayo', 'meringue', 'aioli'],
+        soft: [],
+        skipLine: ['egg-free', 'vegan'],
+        except: ['flax egg', 'chia egg', 'egg replacer'],
+    },
+    honey: {
+        include: ['honey', 'honeycomb'],
+        soft: [],
+        skipLine: [],
+        except: [],
+    },
+    peanut: {
+        include: ['peanut'],
+        soft: [],
+        skipLine: ['peanut-free'],
+        except: [],
+    },
+    tree_nut: {
+        include: [
+            'almond',
+            'walnut',
+            'pecan',
+            'cashew',
+            'pistachio',
+            'hazelnut',
+            'macadamia',
+            'brazil nut',
+            'pine nut',
+            'chestnut',
+            'praline',
+            'marzipan',
+            'frangipane',
+            'nutella',
+            'nuts',
+        ],
+        soft: [],
+        skipLine: ['nut-free'],
+        except: ['water chestnut'],
+    },
+    wheat: {
+        include: [
+            'wheat',
+            'flour',
+            'bread',
+            'breadcrumb',
+            'panko',
+            'pasta',
+            'spaghetti',
+            'linguine',
+            'fettuccine',
+            'penne',
+            'rigatoni',
+            'orzo',
+            'macaroni',
+            'lasagna',
+            'noodle',
+            'couscous',
+            'bulgur',
+            'farro',
+            'semolina',
+            'spelt',
+            'seitan',
+            'tortilla',
+            'pita',
+            'baguette',
+            'brioche',
+            'croissant',
+            'crouton',
+            'pastry',
+            'phyllo',
+            'filo',
+            'puff pastry',
+            'cracker',
+            'cookie',
+            'graham',
+            'soy sauce',
+            // Breads, doughs and wrappers that rarely say "wheat" or "flour" on the line
+            'bun',
+            'roll',
+            'bagel',
+            'muffin',
+            'naan',
+            'ciabatta',
+            'focaccia',
+            'sourdough',
+            'pretzel',
+            'biscuit',
+            'matzo',
+            'dough',
+            'pie crust',
+            'pizza crust',
+            'pie shell',
+            'tart shell',
+            'udon',
+            'ramen',
+            'somen',
+            'gnocchi',
+            'dumpling',
+            'wonton',
+            'gyoza wrapper',
+            'egg roll wrapper',
+            'ladyfinger',
+            'gingersnap',
+        ],
+        soft: [],
+        skipLine: ['gluten-free', 'gluten free'],
+        except: [
+            'almond flour',
+            'coconut flour',
+            'rice flour',
+            'chickpea flour',
+            'buckwheat flour',
+            'buckwheat noodle',
+            'cornflour',
+            'corn flour',
+            'cornmeal',
+            'corn tortilla',
+            'tapioca flour',
+            'potato flour',
+            'rice noodle',
+            'glass noodle',
+        ],
+    },
+    // Gluten sources that are not wheat, so they rule out gluten-free without being a wheat allergen
+    gluten: {
+        include: ['barley', 'rye', 'malt', 'beer'],
+        soft: ['oat'],
+        skipLine: ['gluten-free', 'gluten free'],
+        except: ['root beer', 'oat milk'],
+    },
+    soy: {
+        include: ['soy', 'soya', 'tofu', 'tempeh', 'edamame', 'miso', 'tamari', 'soybean'],
+        soft: [],
+        skipLine: ['soy-free'],
+        except: [],
+    },
+    sesame: {
+        include: ['sesame', 'tahini', 'gomasio', 'benne'],
+        soft: [],
+        skipLine: ['sesame-free'],
+        except: [],
+    },
+};
+
+// Major allergens (FDA "big nine"), keyed by output name
+const ALLERGENS = {
+    milk: ['milk'],
+    egg: ['egg'],
+    fish: ['fish'],
+    shellfish: ['shellfish'],
+    tree_nuts: ['tree_nut'],
+    peanuts: ['peanut'],
+    wheat: ['wheat'],
+    soy: ['soy'],
+    sesame: ['sesame'],
+};
+
+// Diet label -> groups that rule it out, plus the tags (compared after normalizeTag) that claim it
+const DIETS = {
+    vegetarian: { excludes: ['meat', 'fish', 'shellfish'], tags: ['vegetarian', 'vegan'] },
+    vegan: { excludes: ['meat', 'fish', 'shellfish', 'milk', 'egg', 'honey'], tags: ['vegan'] },
+    pescatarian: { excludes: ['meat'], tags: ['pescatarian', 'vegetarian', 'vegan'] },
+    'gluten-free': {
+        excludes: ['wheat', 'gluten'],
+        tags: ['gluten free', 'wheat free', 'wheat/gluten-free'],
+    },
+    'dairy-free': { excludes: ['milk'], tags: ['dairy free', 'vegan'] },
+    'egg-free': { excludes: ['egg'], tags: ['egg free', 'vegan'] },
+    'nut-free': { excludes: ['peanut', 'tree_nut'], tags: ['nut free', 'peanut free', 'tree nut free'] },
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compile = (words) =>
+    words.length
+        ? new RegExp(`(?:^|[^a-zà-ÿ])(?:${words.map(escapeRegExp).join('|')})(?:s|es)?(?![a-zà-ÿ])`, 'i')
+        : null;
+
+const COMPILED = Object.fromEntries(
+    Object.entries(GROUPS).map(([name, rule]) => [
+        name,
+        {
+            include: compile(rule.include),
+            soft: compile(rule.soft),
+            skipLine: rule.skipLine.map((phrase) => phrase.toLowerCase()),
+            except: rule.except.map((phrase) => phrase.toLowerCase()),
+        },
+    ]),
+);
+
+const normalizeTag = (value) =>
+    String(value || '')
+        .toLowerCase()
+        .replace(/[^a-z/]+/g, ' ')
+        .trim();
+
+// Returns { hard: [...lines], soft: [...lines] } for one group
+const matchGroup = (name, lines) => {
+    const rule = COMPILED[name];
+    const hits = { hard: [], soft: [] };
+    for (const line of lines) {
+        let text = ` ${String(line).toLowerCase()} `;
+        if (rule.skipLine.some((phrase) => text.includes(phrase))) continue;
+        for (const phrase of rule.except) text = text.split(phrase).join(' ');
+        if (rule.include?.test(text)) hits.hard.push(line);
+        else if (rule.soft?.test(text)) hits.soft.push(line);
+    }
+    return hits;
+};
+
+export const DIET_LABELS = Object.keys(DIETS);
+
+// Excluded-ingredient keywords that name a whole group: "shellfish" means shrimp, crab, clams..., not the word
+const KEYWORD_GROUPS = {
+    ...Object.fromEntries(Object.keys(GROUPS).map((name) => [name, [name]])),
+    ...ALLERGENS,
+    dairy: ['milk'],
+    nut: ['peanut', 'tree_nut'],
+    gluten: ['wheat', 'gluten'],
+};
+
+// "Tree nuts", "eggs" and "peanuts" name the same groups as "tree_nut", "egg" and "peanut"; null for other words
+export const groupsForKeyword = (keyword) => {
+    const key = String(keyword || '')
+        .trim()
+        .toLowerCase()
+        .replace(/[\s-]+/g, '_');
+    return KEYWORD_GROUPS[key] || KEYWORD_GROUPS[key.replace(/s$/, '')] || null;
+};
+
+// First ingredient line that puts the recipe in any of the groups, soft matches included
+export const findGroupLine = (names, lines) => {
+    for (const name of names) {
+        const { hard, soft } = matchGroup(name, (lines || []).filter(Boolean));
+        if (hard.length || soft.length) return hard[0] || soft[0];
+    }
+    return null;
+};
+
+export const classifyDiet = ({ ingredients = [], tags = [], category = null } = {}) => {
+    const lines = (ingredients || []).filter(Boolean);
+    const claimed = new Set([...(tags || []), category].filter(Boolean).map(normalizeTag));
+    const groups = Object.fromEntries(Object.keys(GROUPS).map((name) => [name, matchGroup(name, lines)]));
+
+    const dietaryLabels = [];
+    const dietaryExclusions = {};
+    for (const [label, diet] of Object.entries(DIETS)) {
+        const taggedAs = diet.tags.some((tag) => claimed.has(normalizeTag(tag)));
+        const blocking = diet.excludes.flatMap((name) => [
+            ...groups[name].hard,
+            ...(taggedAs ? [] : groups[name].soft),
+        ]);
+        if (blocking.length) dietaryExclusions[label] = [...new Set(blocking)];
+        // Without ingredient lines there is nothing to verify, so a label is only given when tagged
+        else if (lines.length || taggedAs) dietaryLabels.push(label);
+    }
+
+    const allergens = [];
+    const allergenSources = {};
+    for (const [allergen, names] of Object.entries(ALLERGENS)) {
+        const found = [...new Set(names.flatMap((name) => [...groups[name].hard, ...groups[name].soft]))];
+        if (!found.length) continue;
+        allergens.push(allergen);
+        allergenSources[allergen] = found;
+    }
+
+    return {
+        dietary_labels: dietaryLabels,
+        dietary_exclusions: dietaryExclusions,
+        allergens,
+        allergen_sources: allergenSources,
+    };
+};
+
+// recipeType values like "Vegetarian" or "gluten free" map to a label; anything else ("dessert") is not a diet
+export const dietLabelFor = (recipeType) => {
+    const wanted = normalizeTag(recipeType).replace(/\s+/g, '-');
+    return DIET_LABELS.find((label) => label === wanted) || null;
+};
@@ -0,0 +1,91 @@
+// Duration + yield normalization - "PT1H15M", "1 hr 15 min" and "Makes about 24 cookies" into numbers
+import { NUMBER_SOURCE, parseNumber, replaceUnicodeFractions } from './ingredients.js';
+
+const ISO_DURATION = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i;
+
+const TEXT_PARTS = new RegExp(
+    `(${NUMBER_SOURCE})\\s*(days?|d|hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)\\b`,
+    'gi',
+);
+
+const UNIT_MINUTES = { d: 1440, h: 60, m: 1, s: 1 / 60 };
+
+const RANGE_SEPARATOR = '\\s*(?:-|–|—|to)\\s*';
+
+export const parseDurationMinutes = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? Math.round(value) : null;
+    const text = replaceUnicodeFractions(String(value).replace(/\s+/g, ' ').trim());
+    if (!text) return null;
+
+    const iso = text.match(ISO_DURATION);
+    if (iso && text.length > 1) {
+        const [, days, hours, minutes, seconds] = iso.map((part) => (part ? Number(part) : 0));
+        const total = days * 1440 + hours * 60 + minutes + seconds / 60;
+        return total > 0 ? Math.round(total) : null;
+    }
+
+    // "1:15" clock notation
+    const clock = text.match(/\b(\d{1,2}):(\d{2})\b/);
+    if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+
+    // "1 hour 30 min (includes 30 min chilling)": asides repeat part of the total, they don't add to it
+    const main = text.replace(/\([^)]*\)/g, ' ');
+    // "2-3 hours" counts as the upper bound: a range is a promise of "at most"
+    const ranged = main.replace(new RegExp(`(${NUMBER_SOURCE})${RANGE_SEPARATOR}(?=${NUMBER_SOURCE})`, 'gi'), '');
+    let total = 0;
+    let matched = false;
+    for (const part of ranged.matchAll(TEXT_PARTS)) {
+        const amount = parseNumber(part[1]);
+        if (amount === null) continue;
+        total += amount * UNIT_MINUTES[part[2][0].toLowerCase()];
+        matched = true;
+    }
+    if (matched) return total > 0 ? Math.round(total) : null;
+
+    // A bare number is how some pages print minutes ("45")
+    const bare = text.match(/^(\d+)$/);
+    return bare ? Number(bare[1]) : null;
+};
+
+export const formatMinutes = (minutes) => {
+    if (!Number.isFinite(minutes) || minutes <= 0) return null;
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    const mins = minutes % 60;
+    const parts = [];
+    if (days) parts.push(`${days} day${days > 1 ? 's' : ''}`);
+    if (hours) parts.push(`${hours} hr`);
+    if (mins) parts.push(`${mins} min`);
+    return parts.join(' ');
+};
+
+const YIELD_NUMBER = new RegExp(`(${NUMBER_SOURCE})(?:${RANGE_SEPARATOR}(${NUMBER_SOURCE}))?`);
+
+export const parseYield = (value) => {
+    const empty = { yield_quantity: null, yield_quantity_max: null, yield_unit: null };
+    const candidates = (Array.isArray(value) ? value : [value])
+        .filter((entry) => entry !== null && entry !== undefined && entry !== '')
+        .map((entry) => replaceUnicodeFractions(String(entry).replace(/\s+/g, ' ').trim()));
+    // JSON-LD often repeats the yield as ["4", "4 servings"]; the descriptive variant wins
+    const text = candidates.sort((a, b) => b.length - a.length)[0];
+    if (!text) return empty;
+
+    const number = text.match(YIELD_NUMBER);
+    if (!number) return empty;
+
+    const after = text
+        .slice(number.index + number[0].length)
+        .replace(/\([^)]*\)/g, ' ')
+        .split(/[,;.(]/)[0]
+        .replace(/\s+/g, ' ')
+        .trim();
+    const unitWords = after.split(' ').filter(Boolean).slice(0, 3).join(' ');
+    const unit = unitWords ? unitWords.toLowerCase() : 'servings';
+
+    return {
+        yield_quantity: parseNumber(number[1]),
+        yield_quantity_max: number[2] ? parseNumber(number[2]) : null,
+        yield_unit: /^serv/.test(unit) || /^(people|persons?|portions?)$/.test(unit) ? 'servings' : unit,
+    };
+};
@@ -0,0 +1,351 @@
+// Recipe-manager exports - schema.org JSON-LD, Paprika archive, Mealie/Tandoor archive, Markdown/HTML cookbook
+import { createHash } from 'node:crypto';
+import { gzipSync } from 'node:zlib';
+import JSZip from 'jszip';
+import { DEFAULT_SITE, SITES } from './sites.js';
+
+// Output format -> key-value store record; main() in main.js stores each buildExports() output under its key
+export const EXPORT_FORMATS = {
+    jsonld: { key: 'EXPORT_JSONLD', contentType: 'application/ld+json' },
+    paprika: { key: 'EXPORT_PAPRIKA', contentType: 'application/zip' },
+    mealie: { key: 'EXPORT_MEALIE', contentType: 'application/zip' },
+    markdown: { key: 'EXPORT_COOKBOOK_MD', contentType: 'text/markdown; charset=utf-8' },
+    html: { key: 'EXPORT_COOKBOOK_HTML', contentType: 'text/html; charset=utf-8' },
+};
+
+const minutesToIso = (minutes) => {
+    if (!Number.isFinite(minutes) || minutes <= 0) return undefined;
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    return `PT${hours ? `${hours}H` : ''}${mins ? `${mins}M` : ''}`;
+};
+
+const dropEmpty = (obj) =>
+    Object.fromEntries(
+        Object.entries(obj).filter(
+            ([, value]) => value !== undefined && value !== null && !(Array.isArray(value) && !value.length),
+        ),
+    );
+
+const sections = (item) =>
+    item.instruction_sections?.length
+        ? item.instruction_sections
+        : [{ name: null, steps: item.instructions_list || [] }];
+
+const ingredientGroups = (item) =>
+    item.ingredient_groups?.length ? item.ingredient_groups : [{ name: null, ingredients: item.ingredients || [] }];
+
+const NUTRITION_SCHEMA = {
+    calories: ['calories', 'kcal'],
+    fat_g: ['fatContent', 'g'],
+    saturated_fat_g: ['saturatedFatContent', 'g'],
+    carbs_g: ['carbohydrateContent', 'g'],
+    fiber_g: ['fiberContent', 'g'],
+    sugar_g: ['sugarContent', 'g'],
+    protein_g: ['proteinContent', 'g'],
+    sodium_mg: ['sodiumContent', 'mg'],
+    cholesterol_mg: ['cholesterolContent', 'mg'],
+};
+
+const nutritionToSchema = (nutrition) => {
+    if (!nutrition) return undefined;
+    const node = { '@type': 'NutritionInformation' };
+    for (const [field, [property, unit]] of Object.entries(NUTRITION_SCHEMA)) {
+        if (nutrition[field] !== null && nutrition[field] !== undefined) node[property] = `${nutrition[field]} ${unit}`;
+    }
+    if (nutrition.serving_size) node.servingSize = nutrition.serving_size;
+    return Object.keys(node).length > 1 ? node : undefined;
+};
+
+export const toSchemaOrgRecipe = (item) =>
+    dropEmpty({
+        '@context': 'https://schema.org',
+        '@type': 'Recipe',
+        name: item.title,
+        description: item.description,
+        author: item.author ? { '@type': 'Person', name: item.author } : undefined,
+        image: item.image_url,
+        url: item.url,
+        datePublished: item.date_published,
+        dateModified: item.date_modified,
+        prepTime: minutesToIso(item.prep_minutes),
+        cookTime: minutesToIso(item.cook_minutes),
+        totalTime: minutesToIso(item.total_minutes),
+        recipeYield: item.servings,
+        recipeCuisine: item.cuisine,
+        recipeCategory: item.category,
+        keywords: item.tags?.length ? item.tags.join(', ') : undefined,
+        recipeIngredient: item.ingredients,
+        recipeInstructions: sections(item).flatMap((section) => {
+            const steps = section.steps.map((text) => ({ '@type': 'HowToStep', text }));
+            if (!section.name) return steps;
+            return [{ '@type': 'HowToSection', name: section.name, itemListElement: steps }];
+        }),
+        tool: item.equipment,
+        nutrition: nutritionToSchema(item.nutrition),
+        aggregateRating: item.rating_value
+            ? dropEmpty({
+                  '@type': 'AggregateRating',
+                  ratingValue: item.rating_value,
+                  ratingCount: item.rating_count,
+                  bestRating: item.rating_best,
+                  worstRating: item.rating_worst,
+              })
+            : undefined,
+    });
+
+// Plain-text blocks with group headings, as Paprika and Markdown want them
+const ingredientLines = (item) =>
+    ingredientGroups(item).flatMap((group) => [...(group.name ? [`${group.name}:`] : []), ...group.ingredients]);
+
+const instructionLines = (item) =>
+    sections(item).flatMap((section) => [...(section.name ? [`${section.name}:`] : []), ...section.steps]);
+
+const formatNutrition = (nutrition) => {
+    if (!nutrition) return '';
+    const labels = {
+        calories: 'Calories',
+        fat_g: 'Fat (g)',
+        saturated_fat_g: 'Saturated fat (g)',
+        carbs_g: 'Carbohydrates (g)',
+        fiber_g: 'Fiber (g)',
+        sugar_g: 'Sugar (g)',
+        protein_g: 'Protein (g)',
+        sodium_mg: 'Sodium (mg)',
+        cholesterol_mg: 'Cholesterol (mg)',
+    };
+    return Object.entries(labels)
+        .filter(([field]) => nutrition[field] !== null && nutrition[field] !== undefined)
+        .map(([field, label]) => `${label}: ${nutrition[field]}`)
+        .join('\n');
+};
+
+// "Epicurious", "Bon Appétit": the site the recipe was scraped from, by its _source
+const siteLabel = (item) => (SITES.find((site) => site.source === item._source) || DEFAULT_SITE).label;
+
+// "Epicurious & Bon Appétit Cookbook": named after the sites the recipes came from, in the order first seen
+const cookbookTitle = (items) => {
+    const labels = new Set(items.map((item) => SITES.find((site) => site.source === item._source)?.label).filter(Boolean));
+    return labels.size ? `${[...labels].join(' & ')} Cookbook` : 'Recipe Cookbook';
+};
+
+const uidFor = (item) => createHash('sha1').update(item.url || item.title || '').digest('hex').toUpperCase();
+
+export const toPaprikaRecipe = (item) => ({
+    uid: uidFor(item),
+    name: item.title || 'Untitled Recipe',
+    description: item.description || '',
+    ingredients: ingredientLines(item).join('\n'),
+    directions: instructionLines(item).join('\n\n'),
+    notes: (item.notes || []).map((note) => (note.title ? `${note.title}: ${note.text}` : note.text)).join('\n\n'),
+    nutritional_info: formatNutrition(item.nutrition),
+    servings: item.servings || '',
+    prep_time: item.prep_minutes ? `${item.prep_minutes} min` : '',
+    cook_time: item.cook_minutes ? `${item.cook_minutes} min` : '',
+    total_time: item.total_time_text || '',
+    difficulty: item.difficulty || '',
+    rating: item.rating_value ? Math.round(Number(item.rating_value)) : 0,
+    categories: [...new Set([item.category, ...(item.tags || [])].filter(Boolean))],
+    source: item.author ? `${item.author} / ${siteLabel(item)}` : siteLabel(item),
+    source_url: item.url || '',
+    image_url: item.image_url || '',
+    photo_data: null,
+    created: (item.scraped_at || new Date().toISOString()).replace('T', ' ').slice(0, 19),
+    hash: createHash('sha256').update(JSON.stringify([item.title, item.ingredients, item.instructions_list])).digest('hex'),
+});
+
+// .paprikarecipes is a zip of gzipped JSON files, one "<name>.paprikarecipe" per recipe
+export const buildPaprikaArchive = async (items) => {
+    const zip = new JSZip();
+    const usedNames = new Set();
+    for (const item of items) {
+        const recipe = toPaprikaRecipe(item);
+        const base = recipe.name.replace(/[\\/:*?"<>|]+/g, '').trim() || 'Recipe';
+        let name = base;
+        for (let i = 2; usedNames.has(name); i += 1) name = `${base} (${i})`;
+        usedNames.add(name);
+        zip.file(`${name}.paprikarecipe`, gzipSync(Buffer.from(JSON.stringify(recipe))));
+    }
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'STORE' });
+};
+
+// Mealie's recipe JSON; Tandoor imports the same shape through its Mealie importer
+export const toMealieRecipe = (item) => ({
+    name: item.title,
+    description: item.description || '',
+    image: item.image_url || null,
+    orgURL: item.url,
+    recipeYield: item.servings || '',
+    recipeServings: item.yield_unit === 'servings' ? item.yield_quantity : null,
+    prepTime: item.prep_minutes ? `${item.prep_minutes} minutes` : null,
+    performTime: item.cook_minutes ? `${item.cook_minutes} minutes` : null,
+    totalTime: item.total_time_text || null,
+    recipeCategory: item.category ? [{ name: item.category }] : [],
+    tags: (item.tags || []).map((name) => ({ name })),
+    tools: (item.equipment || []).map((name) => ({ name })),
+    recipeIngredient: (item.ingredients_parsed?.length
+        ? item.ingredients_parsed
+        : (item.ingredients || []).map((text) => ({ text }))
+    ).map((line) => ({
+        title: ingredientGroups(item).find((group) => group.name && group.ingredients[0] === line.text)?.name || null,
+        quantity: line.quantity ?? null,
+        unit: line.unit ? { name: line.unit } : null,
+        food: line.item ? { name: line.item } : null,
+        note: line.preparation || '',
+        display: line.text,
+        originalText: line.text,
+    })),
+    recipeInstructions: sections(item).flatMap((section) =>
+        section.steps.map((text, idx) => ({ title: idx === 0 && section.name ? section.name : '', text })),
+    ),
+    nutrition: item.nutrition
+        ? {
+              calories: item.nutrition.calories?.toString() ?? null,
+              fatContent: item.nutrition.fat_g?.toString() ?? null,
+              saturatedFatContent: item.nutrition.saturated_fat_g?.toString() ?? null,
+              carbohydrateContent: item.nutrition.carbs_g?.toString() ?? null,
+              fiberContent: item.nutrition.fiber_g?.toString() ?? null,
+              sugarContent: item.nutrition.sugar_g?.toString() ?? null,
+              proteinContent: item.nutrition.protein_g?.toString() ?? null,
+              sodiumContent: item.nutrition.sodium_mg?.toString() ?? null,
+              cholesterolContent: item.nutrition.cholesterol_mg?.toString() ?? null,
+          }
+        : null,
+    notes: (item.notes || []).map((note) => ({ title: note.title || '', text: note.text })),
+    rating: item.rating_value ? Number(item.rating_value) : null,
+});
+
+const slugify = (text) =>
+    String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '') || 'recipe';
+
+// Mealie's own export layout, which its importer and Tandoor's Mealie importer read:
+// a zip with one "recipes/<slug>/<slug>.json" per recipe
+export const buildMealieArchive = async (items) => {
+    const zip = new JSZip();
+    const usedSlugs = new Set();
+    for (const item of items) {
+        const base = slugify(item.title);
+        let slug = base;
+        for (let i = 2; usedSlugs.has(slug); i += 1) slug = `${base}-${i}`;
+        usedSlugs.add(slug);
+        zip.file(`recipes/${slug}/${slug}.json`, JSON.stringify({ ...toMealieRecipe(item), slug }, null, 2));
+    }
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+const recipeMeta = (item) =>
+    [
+        item.author && `By ${item.author}`,
+        item.total_time_text && `Total time: ${item.total_time_text}`,
+        item.servings && `Yield: ${item.servings}`,
+        item.rating_value && `Rating: ${item.rating_value}${item.rating_count ? ` (${item.rating_count})` : ''}`,
+    ].filter(Boolean);
+
+export const toMarkdownCookbook = (items, title = cookbookTitle(items)) => {
+    const out = [`# ${title}`, '', '## Contents', ''];
+    for (const item of items) out.push(`- [${item.title}](#${slugify(item.title)})`);
+    for (const item of items) {
+        out.push('', `## ${item.title}`, '');
+        const meta = recipeMeta(item);
+        if (meta.length) out.push(`_${meta.join(' · ')}_`, '');
+        if (item.image_url) out.push(`![${item.title}](${item.image_url})`, '');
+        if (item.description) out.push(item.description, '');
+        out.push('### Ingredients', '');
+        for (const group of ingredientGroups(item)) {
+            if (group.name) out.push(`**${group.name}**`, '');
+            for (const line of group.ingredients) out.push(`- ${line}`);
+            out.push('');
+        }
+        out.push('### Instructions', '');
+        for (const section of sections(item)) {
+            if (section.name) out.push(`**${section.name}**`, '');
+            section.steps.forEach((step, idx) => out.push(`${idx + 1}. ${step}`));
+            out.push('');
+        }
+        for (const note of item.notes || []) out.push(`> **${note.title || 'Note'}:** ${note.text}`, '');
+        if (item.url) out.push(`Source: <${item.url}>`);
+    }
+    return `${out.join('\n').trim()}\n`;
+};
+
+const escapeHtml = (text) =>
+    String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+export const toHtmlCookbook = (items, title = cookbookTitle(items)) => {
+    const body = items.map((item) => {
+        const meta = recipeMeta(item);
+        const groups = ingredientGroups(item)
+            .map(
+                (group) =>
+                    `${group.name ? `<h4>${escapeHtml(group.name)}</h4>` : ''}<ul>${group.ingredients
+                        .map((line) => `<li>${escapeHtml(line)}</li>`)
+                        .join('')}</ul>`,
+            )
+            .join('\n');
+        const steps = sections(item)
+            .map(
+                (section) =>
+                    `${section.name ? `<h4>${escapeHtml(section.name)}</h4>` : ''}<ol>${section.steps
+                        .map((step) => `<li>${escapeHtml(step)}</li>`)
+                        .join('')}</ol>`,
+            )
+            .join('\n');
+        const notes = (item.notes || [])
+            .map((note) => `<p class="note"><strong>${escapeHtml(note.title || 'Note')}:</strong> ${escapeHtml(note.text)}</p>`)
+            .join('\n');
+        return [
+            `<section class="recipe" id="${slugify(item.title)}">`,
+            `<h2>${escapeHtml(item.title)}</h2>`,
+            meta.length ? `<p class="meta">${escapeHtml(meta.join(' · '))}</p>` : '',
+            item.image_url ? `<img src="${escapeHtml(item.image_url)}" alt="${escapeHtml(item.title)}">` : '',
+            item.description ? `<p>${escapeHtml(item.description)}</p>` : '',
+            `<h3>Ingredients</h3>\n${groups}`,
+            `<h3>Instructions</h3>\n${steps}`,
+            notes,
+            item.url ? `<p class="source"><a href="${escapeHtml(item.url)}">Source</a></p>` : '',
+            '</section>',
+        ]
+            .filter(Boolean)
+            .join('\n');
+    });
+    const toc = items.map((item) => `<li><a href="#${slugify(item.title)}">${escapeHtml(item.title)}</a></li>`).join('');
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en"><head><meta charset="utf-8">',
+        `<title>${escapeHtml(title)}</title>`,
+        '<style>body{font-family:Georgia,serif;max-width:760px;margin:2rem auto;padding:0 1rem;line-height:1.5}' +
+            'img{max-width:100%}.meta{color:#666}.recipe{page-break-before:always;border-top:1px solid #ddd}' +
+            '.note{background:#f7f3ea;padding:.5rem}</style>',
+        '</head><body>',
+        `<h1>${escapeHtml(title)}</h1>`,
+        `<nav><ol>${toc}</ol></nav>`,
+        ...body,
+        '</body></html>',
+        '',
+    ].join('\n');
+};
+
+// Builds every requested format from the scraped items: [{ format, key, contentType, value }]
+export const buildExports = async (items, formats) => {
+    const outputs = [];
+    for (const format of formats) {
+        const spec = EXPORT_FORMATS[format];
+        if (!spec) continue;
+        let value;
+        // Records with an explicit content type must be strings or buffers
+        if (format === 'jsonld') value = JSON.stringify(items.map(toSchemaOrgRecipe), null, 2);
+        else if (format === 'paprika') value = await buildPaprikaArchive(items);
+        else if (format === 'mealie') value = await buildMealieArchive(items);
+        else if (format === 'markdown') value = toMarkdownCookbook(items);
+        else if (format === 'html') value = toHtmlCookbook(items);
+        outputs.push({ format, ...spec, value });
+    }
+    return outputs;
+};
@@ -0,0 +1,148 @@
+// Detail-page extras - reviews, "would make again", cook's notes and equipment
+
+const clean = (value) => String(value ?? '').replace(/\s+/g, ' ').trim() || null;
+
+const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(String(value).replace(',', '.'));
+    return Number.isFinite(num) ? num : null;
+};
+
+const authorName = (author) => {
+    if (!author) return null;
+    if (Array.isArray(author)) return clean(author.map(authorName).filter(Boolean).join(', '));
+    return clean(typeof author === 'object' ? author.name : author);
+};
+
+export const reviewsFromJsonLd = (reviews) =>
+    (Array.isArray(reviews) ? reviews : reviews ? [reviews] : [])
+        .filter((review) => review && typeof review === 'object')
+        .map((review) => ({
+            author: authorName(review.author),
+            date: clean(review.datePublished || review.dateCreated),
+            rating: toNumber(review.reviewRating?.ratingValue),
+            text: clean(review.reviewBody || review.description),
+        }))
+        .filter((review) => review.text || review.rating !== null);
+
+// "Rating: 4 out of 5" / "4 stars" in aria-labels or text; star icons counted as a last resort
+const readRating = ($, $el) => {
+    const $rating = $el
+        .find('[class*="rating"], [class*="Rating"], [aria-label*="star"], [aria-label*="Rating"]')
+        .first();
+    const label = clean($rating.attr('aria-label')) || clean($rating.text()) || '';
+    const match = label.match(/(\d+(?:\.\d+)?)\s*(?:out of|\/|stars?)/i);
+    if (match) return toNumber(match[1]);
+    const filled = $el.find('[class*="star"][class*="filled"], [class*="star--full"]').length;
+    return filled || null;
+};
+
+const REVIEW_ITEMS =
+    '[data-testid*="ReviewWrapper"], [data-testid*="review-item"], [class*="review-item"], li[class*="review"]';
+const REVIEW_TEXT = '[class*="review-text"], [class*="ReviewText"], [data-testid*="review-text"], p';
+const REVIEW_AUTHOR = '[class*="author"], [class*="Author"], [class*="reviewer"]';
+
+export const parseHtmlReviews = ($) => {
+    const reviews = [];
+    $(REVIEW_ITEMS).each((_, el) => {
+        const $el = $(el);
+        const text = clean($el.find(REVIEW_TEXT).first().text());
+        if (!text) return;
+        reviews.push({
+            author: clean($el.find(REVIEW_AUTHOR).first().text()),
+            date: clean($el.find('time').attr('datetime')) || clean($el.find('time, [class*="date"]').first().text()),
+            rating: readRating($, $el),
+            text,
+        });
+    });
+    return reviews;
+};
+
+export const parseWouldMakeAgain = ($) => {
+    const text =
+        clean($('[class*="make-again"], [class*="MakeAgain"], [data-testid*="MakeAgain"]').first().text()) ||
+        clean($('body').text());
+    const match = text?.match(/(\d{1,3})\s*%\s*(?:of reviewers\s*)?would make (?:it |this )?again/i);
+    if (!match) return null;
+    const pct = Number(match[1]);
+    return pct >= 0 && pct <= 100 ? pct : null;
+};
+
+const NOTE_HEADING = /^(cook'?s'?\s+notes?|notes?|do ahead|make ahead|tips?|test[- ]kitchen tips?|storage)\b/i;
+const NOTE_CONTAINERS =
+    '[data-testid*="RecipeNotes"], [class*="recipe-notes"], [class*="cooks-note"], [class*="CooksNote"]';
+
+// Notes are short titled blocks ("Do Ahead: ...") in a notes container or after a matching heading
+export const parseNotes = ($) => {
+    const notes = [];
+    const push = (title, text) => {
+        const body = clean(text);
+        if (!body || notes.some((note) => note.text === body)) return;
+        notes.push({ title: clean(String(title || '').replace(/:$/, '')), text: body });
+    };
+
+    $(NOTE_CONTAINERS).each((_, el) => {
+        const $el = $(el);
+        const containerTitle = clean($el.find('h2, h3, h4').first().text()) || "Cook's Note";
+        const $blocks = $el.find('p, li');
+        if (!$blocks.length) {
+            const $copy = $el.clone();
+            $copy.find('h2, h3, h4').remove();
+            push(containerTitle, $copy.text());
+            return;
+        }
+        // Each paragraph may carry its own inline title: <p><strong>Do Ahead:</strong> text</p>
+        $blocks.each((__, block) => {
+            const $block = $(block);
+            const inline = clean($block.children('strong, b').first().text());
+            if (inline && NOTE_HEADING.test(inline)) {
+                push(inline, $block.text().replace(inline, ''));
+            } else {
+                push(containerTitle, $block.text());
+            }
+        });
+    });
+
+    $('h2, h3, h4, strong').each((_, el) => {
+        if ($(el).closest(NOTE_CONTAINERS).length) return;
+        const heading = clean($(el).text());
+        if (!heading || !NOTE_HEADING.test(heading) || heading.length > 40) return;
+        const $parent = $(el).parent('p');
+        if ($parent.length) {
+            push(heading, $parent.text().replace(heading, ''));
+            return;
+        }
+        // Only the paragraphs/lists directly following the heading belong to the note
+        const parts = [];
+        let $next = $(el).next();
+        while ($next.length && $next.is('p, ul, ol')) {
+            parts.push($next.text());
+            $next = $next.next();
+        }
+        push(heading, parts.join(' '));
+    });
+    return notes;
+};
+
+// Equipment lists, plus Epicurious-style "Special Equipment: A 9" springform pan; a kitchen scale" lines
+export const parseEquipment = ($, lines = []) => {
+    const equipment = [];
+    $('[data-testid*="equipment"] li, [class*="equipment"] li, [class*="Equipment"] li').each((_, el) => {
+        const text = clean($(el).text());
+        if (text) equipment.push(text);
+    });
+    const specialLines = [...lines];
+    $('p, li').each((_, el) => {
+        const text = clean($(el).text());
+        if (text && /^special equipment\s*:/i.test(text)) specialLines.push(text);
+    });
+    for (const line of specialLines) {
+        const match = String(line || '').match(/^special equipment\s*:\s*(.+)$/i);
+        if (!match) continue;
+        for (const part of match[1].split(/;|\s+and\s+(?=an?\s)/i)) {
+            const text = clean(part.replace(/\.$/, ''));
+            if (text) equipment.push(text);
+        }
+    }
+    return [...new Set(equipment)];
+};
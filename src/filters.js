@@ -0,0 +1,128 @@
+// Post-extraction filters - decide whether a scraped recipe is kept, and say why when it is not
+import { findGroupLine, groupsForKeyword } from './dietary.js';
+
+const toList = (value) =>
+    (Array.isArray(value) ? value : String(value || '').split(','))
+        .map((entry) => String(entry || '').trim())
+        .filter(Boolean);
+
+const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+};
+
+// "Gluten-Free" and "gluten free" are the same tag
+const normalizeTag = (value) =>
+    ` ${String(value || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()} `;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "peanut" also matches "peanuts" and "peanut butter", but not "peanutty" style substrings
+const keywordPattern = (keyword) => new RegExp(`\\b${escapeRegExp(keyword)}(?:s|es)?\\b`, 'i');
+
+export const buildRecipeFilter = ({
+    minRating,
+    minRatingCount,
+    maxTotalMinutes,
+    requiredTags,
+    excludedTags,
+    excludedIngredients,
+    requiredDietLabel,
+} = {}) => {
+    const rules = [];
+
+    const ratingMin = toNumber(minRating);
+    if (ratingMin !== null) {
+        // Unrated recipes cannot prove they meet the minimum
+        rules.push((item) => (toNumber(item.rating_value) ?? -Infinity) < ratingMin && 'min_rating');
+    }
+
+    const countMin = toNumber(minRatingCount);
+    if (countMin !== null) {
+        rules.push((item) => (toNumber(item.rating_count) ?? 0) < countMin && 'min_rating_count');
+    }
+
+    const minutesMax = toNumber(maxTotalMinutes);
+    if (minutesMax !== null) {
+        // Recipes without a parsable time are kept: most pages omit it and dropping them hides too much
+        rules.push(
+            (item) => item.total_minutes !== null && item.total_minutes > minutesMax && 'max_total_minutes',
+        );
+    }
+
+    const itemTags = (item) =>
+        [...(item.tags || []), item.category, item.cuisine].filter(Boolean).map(normalizeTag);
+    const hasTag = (tags, wanted) => tags.some((tag) => tag.includes(wanted));
+
+    const required = toList(requiredTags).map(normalizeTag);
+    if (required.length) {
+        rules.push((item) => {
+            const tags = itemTags(item);
+            const missing = required.find((wanted) => !hasTag(tags, wanted));
+            return missing ? `required_tag:${missing.trim()}` : false;
+        });
+    }
+
+    const excluded = toList(excludedTags).map(normalizeTag);
+    if (excluded.length) {
+        rules.push((item) => {
+            const tags = itemTags(item);
+            const hit = excluded.find((unwanted) => hasTag(tags, unwanted));
+            return hit ? `excluded_tag:${hit.trim()}` : false;
+        });
+    }
+
+    // Allergen and group names ("shellfish", "tree nuts", "dairy") use the dietary groups; other words match literally
+    const ingredientRules = toList(excludedIngredients).map((keyword) => {
+        const groups = groupsForKeyword(keyword);
+        const pattern = keywordPattern(keyword);
+        return {
+            keyword: keyword.toLowerCase(),
+            matches: groups
+                ? (lines) => Boolean(findGroupLine(groups, lines))
+                : (lines) => lines.some((line) => pattern.test(line)),
+        };
+    });
+    if (ingredientRules.length) {
+        rules.push((item) => {
+            const lines = item.ingredients || [];
+            const hit = ingredientRules.find(({ matches }) => matches(lines));
+            return hit ? `excluded_ingredient:${hit.keyword}` : false;
+        });
+    }
+
+    if (requiredDietLabel) {
+        // Relies on dietary_labels inferred from the ingredients (see dietary.js)
+        rules.push(
+            (item) =>
+                !(item.dietary_labels || []).includes(requiredDietLabel) &&
+                `recipe_type_conflict:${requiredDietLabel}`,
+        );
+    }
+
+    return {
+        active: rules.length > 0,
+        // Every failed rule is reported, not only the first one
+        check: (item) => rules.map((rule) => rule(item)).filter(Boolean),
+    };
+};
+
+// Counts rejections per reason ("min_rating", "excluded_ingredient:peanut", ...)
+export const createRejectionReport = () => {
+    const byReason = {};
+    let rejected = 0;
+    return {
+        add: (reasons) => {
+            rejected += 1;
+            for (const reason of reasons) byReason[reason] = (byReason[reason] || 0) + 1;
+        },
+        toJSON: () => ({ rejected, by_reason: { ...byReason } }),
+        get rejected() {
+            return rejected;
+        },
+    };
+};
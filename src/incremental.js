@@ -0,0 +1,153 @@
+// Incremental state - remembers what each recipe looked like last run so unchanged ones can be skipped
+import { createHash } from 'node:crypto';
+
+export const STATE_KEY = 'SEEN_RECIPES';
+
+// Content fields hashed one by one so a change can be reported per field; ratings are tracked as raw values
+const CONTENT_FIELDS = [
+    'title',
+    'author',
+    'description',
+    'ingredients',
+    'instructions_list',
+    'prep_time',
+    'cook_time',
+    'total_time',
+    'servings',
+    'image_url',
+    'tags',
+    'nutrition',
+];
+
+const RATING_FIELDS = ['rating_value', 'rating_count'];
+
+const hash = (value) =>
+    createHash('sha1')
+        .update(JSON.stringify(value ?? null))
+        .digest('hex')
+        .slice(0, 12);
+
+export const stateKeyForUrl = (url) => String(url || '').split(/[?#]/)[0].replace(/\/$/, '');
+
+export const fingerprintRecipe = (item) => {
+    const fields = Object.fromEntries(CONTENT_FIELDS.map((field) => [field, hash(item[field])]));
+    return { fingerprint: hash(Object.values(fields)), fields };
+};
+
+// Returns { change_type, changed_fields }; change_type is null when nothing worth re-emitting changed
+export const detectChange = (previous, item) => {
+    const { fingerprint, fields } = fingerprintRecipe(item);
+    // URLs recorded in URL-only mode have no fingerprint yet, so their first full scrape counts as new
+    if (!previous?.fingerprint) return { change_type: 'new', changed_fields: [], fingerprint, fields };
+
+    const changedContent =
+        previous.fingerprint === fingerprint
+            ? []
+            : CONTENT_FIELDS.filter((field) => previous.fields?.[field] !== fields[field]);
+    if (previous.date_modified !== (item.date_modified || null) && item.date_modified) {
+        changedContent.push('date_modified');
+    }
+    const changedRatings = RATING_FIELDS.filter((field) => (previous[field] ?? null) !== (item[field] ?? null));
+
+    let changeType = null;
+    if (changedContent.length) changeType = 'updated';
+    else if (changedRatings.length) changeType = 'rating_changed';
+    return {
+        change_type: changeType,
+        changed_fields: [...changedContent, ...changedRatings],
+        fingerprint,
+        fields,
+    };
+};
+
+// A full-catalog state is tens of MB, over the record size limit, so it is split across SHARDS records
+// (SEEN_RECIPES_00 ... SEEN_RECIPES_1f) and only the shards that changed are written back
+const SHARDS = 32;
+
+const shardFor = (stateKey) => parseInt(createHash('sha1').update(stateKey).digest('hex').slice(0, 2), 16) % SHARDS;
+
+const shardKey = (key, shard) => `${key}_${shard.toString(16).padStart(2, '0')}`;
+
+// Wraps the persisted map of url -> snapshot kept in a named key-value store
+export const createIncrementalState = async (store, { key = STATE_KEY, log = null } = {}) => {
+    const shards = await Promise.all(
+        Array.from({ length: SHARDS }, async (_, shard) => (await store.getValue(shardKey(key, shard))) || {}),
+    );
+    const dirty = new Set();
+
+    // State from before sharding sits in a single record; it is moved into the shards on the next persist
+    const legacy = await store.getValue(key);
+    if (legacy) {
+        for (const [stateKey, snapshot] of Object.entries(legacy)) {
+            const shard = shardFor(stateKey);
+            shards[shard][stateKey] ??= snapshot;
+            dirty.add(shard);
+        }
+    }
+    let legacyPending = Boolean(legacy);
+
+    const lookup = (url) => {
+        const stateKey = stateKeyForUrl(url);
+        return shards[shardFor(stateKey)][stateKey] || null;
+    };
+
+    const put = (url, snapshot) => {
+        const stateKey = stateKeyForUrl(url);
+        const shard = shardFor(stateKey);
+        shards[shard][stateKey] = snapshot;
+        dirty.add(shard);
+    };
+
+    const persist = async () => {
+        for (const shard of [...dirty]) {
+            dirty.delete(shard);
+            try {
+                await store.setValue(shardKey(key, shard), shards[shard]);
+            } catch (err) {
+                dirty.add(shard);
+                throw err;
+            }
+        }
+        if (legacyPending) {
+            await store.setValue(key, null);
+            legacyPending = false;
+        }
+    };
+
+    return {
+        size: () => shards.reduce((sum, records) => sum + Object.keys(records).length, 0),
+        has: (url) => Boolean(lookup(url)),
+        get: lookup,
+        // Sitemap lastmod not newer than what was seen last run means the page did not change
+        isFreshSince: (url, lastmod) => {
+            const previous = lookup(url);
+            if (!previous || !lastmod || !previous.scraped_at) return false;
+            return Date.parse(lastmod) <= Date.parse(previous.scraped_at);
+        },
+        check: (item) => detectChange(lookup(item.url), item),
+        record: (item, change) => {
+            const snapshot = change || fingerprintRecipe(item);
+            put(item.url, {
+                fingerprint: snapshot.fingerprint,
+                fields: snapshot.fields,
+                date_published: item.date_published || null,
+                date_modified: item.date_modified || null,
+                rating_value: item.rating_value ?? null,
+                rating_count: item.rating_count ?? null,
+                scraped_at: item.scraped_at || new Date().toISOString(),
+            });
+        },
+        // URL-only mode has no content to fingerprint; the URL itself is the record
+        recordUrl: (url) => {
+            if (lookup(url)) return;
+            put(url, { scraped_at: new Date().toISOString() });
+        },
+        persist: async () => {
+            try {
+                await persist();
+            } catch (err) {
+                log?.warning(`Failed to persist incremental state: ${err.message}`);
+            }
+        },
+    };
+};
@@ -0,0 +1,251 @@
+// Ingredient line parser - splits "2 1/2 cups finely chopped onion, divided" into structured fields
+
+const UNICODE_FRACTIONS = {
+    '¼': '1/4',
+    '½': '1/2',
+    '¾': '3/4',
+    '⅐': '1/7',
+    '⅑': '1/9',
+    '⅒': '1/10',
+    '⅓': '1/3',
+    '⅔': '2/3',
+    '⅕': '1/5',
+    '⅖': '2/5',
+    '⅗': '3/5',
+    '⅘': '4/5',
+    '⅙': '1/6',
+    '⅚': '5/6',
+    '⅛': '1/8',
+    '⅜': '3/8',
+    '⅝': '5/8',
+    '⅞': '7/8',
+};
+
+// Canonical unit -> accepted spellings (matched case-insensitively, with an optional trailing period)
+const UNIT_ALIASES = {
+    cup: ['cups', 'cup', 'c'],
+    tbsp: ['tablespoons', 'tablespoon', 'tbsp', 'tbs', 'tbl', 'T'],
+    tsp: ['teaspoons', 'teaspoon', 'tsp', 't'],
+    'fl oz': ['fluid ounces', 'fluid ounce', 'fl oz', 'fl. oz'],
+    oz: ['ounces', 'ounce', 'oz'],
+    lb: ['pounds', 'pound', 'lbs', 'lb'],
+    g: ['grams', 'gram', 'g'],
+    kg: ['kilograms', 'kilogram', 'kg'],
+    ml: ['milliliters', 'milliliter', 'millilitres', 'millilitre', 'ml'],
+    l: ['liters', 'liter', 'litres', 'litre', 'l'],
+    pint: ['pints', 'pint', 'pt'],
+    quart: ['quarts', 'quart', 'qt'],
+    gallon: ['gallons', 'gallon', 'gal'],
+    pinch: ['pinches', 'pinch'],
+    dash: ['dashes', 'dash'],
+    clove: ['cloves', 'clove'],
+    can: ['cans', 'can'],
+    jar: ['jars', 'jar'],
+    package: ['packages', 'package', 'pkg'],
+    stick: ['sticks', 'stick'],
+    slice: ['slices', 'slice'],
+    sprig: ['sprigs', 'sprig'],
+    bunch: ['bunches', 'bunch'],
+    head: ['heads', 'head'],
+    handful: ['handfuls', 'handful'],
+    piece: ['pieces', 'piece'],
+    inch: ['inches', 'inch', 'in'],
+};
+
+const UNIT_LOOKUP = (() => {
+    const entries = [];
+    for (const [unit, aliases] of Object.entries(UNIT_ALIASES)) {
+        for (const alias of aliases) entries.push([alias, unit]);
+    }
+    // Longest aliases first so "fluid ounces" wins over "ounces" and "tbsp" over "t"
+    return entries.sort((a, b) => b[0].length - a[0].length);
+})();
+
+// Single-letter "T"/"t" and "c" are only units when written exactly like that
+const CASE_SENSITIVE_ALIASES = new Set(['T', 't', 'c']);
+
+const QUANTITYLESS_UNITS = new Set(['pinch', 'dash', 'handful']);
+
+const PREP_WORDS = [
+    'chopped',
+    'minced',
+    'diced',
+    'sliced',
+    'grated',
+    'shredded',
+    'crushed',
+    'peeled',
+    'halved',
+    'quartered',
+    'trimmed',
+    'toasted',
+    'melted',
+    'softened',
+    'packed',
+    'sifted',
+    'cubed',
+    'julienned',
+    'torn',
+    'zested',
+    'juiced',
+    'rinsed',
+    'drained',
+    'thawed',
+    'beaten',
+    'cooked',
+    'crumbled',
+    'pitted',
+    'seeded',
+    'cored',
+];
+
+const PREP_ADVERBS = ['finely', 'coarsely', 'roughly', 'thinly', 'thickly', 'freshly', 'lightly', 'very', 'well'];
+
+const OPTIONAL_PATTERN = /\b(to taste|for serving|for garnish|for garnishing|for drizzling|for dusting|optional|as needed|if desired)\b/i;
+
+export const NUMBER_SOURCE = '\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*\\.\\d+|\\d+';
+const QUANTITY_PATTERN = new RegExp(
+    `^(${NUMBER_SOURCE})(?:\\s*(?:-|–|—|to|or)\\s*(${NUMBER_SOURCE}))?(?=\\s|$|[a-zA-Z(])`,
+    'i',
+);
+
+const normalizeText = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+export const replaceUnicodeFractions = (text) =>
+    text.replace(/(\d)?([¼-¾⅐-⅞])/g, (_, whole, frac) =>
+        whole ? `${whole} ${UNICODE_FRACTIONS[frac]}` : UNICODE_FRACTIONS[frac],
+    );
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+export const parseNumber = (raw) => {
+    if (!raw) return null;
+    const text = raw.trim();
+    const mixed = text.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+    if (mixed) return round(Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]));
+    const frac = text.match(/^(\d+)\/(\d+)$/);
+    if (frac) return Number(frac[2]) ? round(Number(frac[1]) / Number(frac[2])) : null;
+    const num = Number(text);
+    return Number.isFinite(num) ? num : null;
+};
+
+const matchUnit = (text) => {
+    for (const [alias, unit] of UNIT_LOOKUP) {
+        const head = text.slice(0, alias.length);
+        const sameAlias = CASE_SENSITIVE_ALIASES.has(alias) ? head === alias : head.toLowerCase() === alias.toLowerCase();
+        if (!sameAlias) continue;
+        const rest = text.slice(alias.length);
+        // Unit must end at a word boundary ("cup" must not match "cupcakes")
+        const tail = rest.match(/^\.?(?=\s|$|,|\))/);
+        if (!tail) continue;
+        return { unit, rest: rest.slice(tail[0].length).trim() };
+    }
+    return null;
+};
+
+const splitLeadingPreparation = (name) => {
+    const words = name.split(' ');
+    const prep = [];
+    let i = 0;
+    while (i < words.length - 1) {
+        const word = words[i].toLowerCase().replace(/,$/, '');
+        if (PREP_ADVERBS.includes(word) || PREP_WORDS.includes(word) || word === 'and') {
+            prep.push(words[i].replace(/,$/, ''));
+            i += 1;
+            continue;
+        }
+        break;
+    }
+    // A dangling adverb or conjunction ("finely and") is not a preparation on its own
+    while (prep.length && !PREP_WORDS.includes(prep[prep.length - 1].toLowerCase())) {
+        prep.pop();
+        i -= 1;
+    }
+    return { prep: prep.join(' ') || null, name: words.slice(i).join(' ') };
+};
+
+// The leading measure of a line ("about 1 (15-ounce) can") and the text after it
+export const splitMeasure = (line) => {
+    let rest = replaceUnicodeFractions(normalizeText(line));
+    const measure = { approx: null, quantity: null, quantity_max: null, size: null, unit: null, rest };
+
+    const approx = rest.match(/^(about|approximately|roughly)\s+/i);
+    if (approx) {
+        measure.approx = approx[1];
+        rest = rest.slice(approx[0].length);
+    }
+
+    const qty = rest.match(QUANTITY_PATTERN);
+    if (qty) {
+        measure.quantity = parseNumber(qty[1]);
+        measure.quantity_max = qty[2] ? parseNumber(qty[2]) : null;
+        rest = rest.slice(qty[0].length).trim();
+    }
+
+    // Package sizes like "1 (15-ounce) can"
+    const size = rest.match(/^\(([^)]*)\)\s*/);
+    if (size) {
+        measure.size = size[1].trim();
+        rest = rest.slice(size[0].length);
+    }
+
+    const unit = matchUnit(rest);
+    // Without a number only measure-less units count ("Pinch of salt", but not "Head of lettuce" style names)
+    if (unit && (measure.quantity !== null || size || QUANTITYLESS_UNITS.has(unit.unit))) {
+        measure.unit = unit.unit;
+        rest = unit.rest.replace(/^of\s+/i, '');
+    }
+    measure.rest = rest;
+    return measure;
+};
+
+export const parseIngredientLine = (line) => {
+    const original = normalizeText(line);
+    const result = {
+        text: original,
+        quantity: null,
+        quantity_max: null,
+        unit: null,
+        item: null,
+        preparation: null,
+        optional: false,
+    };
+    if (!original) return result;
+
+    const measure = splitMeasure(original);
+    result.quantity = measure.quantity;
+    result.quantity_max = measure.quantity_max;
+    result.unit = measure.unit;
+    let { rest } = measure;
+    // The package size is kept as a preparation note
+    const preparation = measure.size ? [measure.size] : [];
+
+    // Remaining parentheticals are notes, e.g. "parsley (optional)" or "butter (room temperature)"
+    rest = rest.replace(/\s*\(([^)]*)\)/g, (_, note) => {
+        preparation.push(note);
+        return '';
+    });
+
+    const optional = rest.match(OPTIONAL_PATTERN) || preparation.join(' ').match(OPTIONAL_PATTERN);
+    if (optional) result.optional = true;
+
+    const commaIdx = rest.indexOf(',');
+    let name = commaIdx >= 0 ? rest.slice(0, commaIdx) : rest;
+    const trailing = commaIdx >= 0 ? rest.slice(commaIdx + 1).trim() : '';
+
+    // "salt to taste" / "parsley for serving" without a comma
+    if (optional && optional.input === rest && optional.index < name.length) {
+        preparation.push(name.slice(optional.index).trim());
+        name = name.slice(0, optional.index).trim();
+    }
+
+    const leading = splitLeadingPreparation(name.trim());
+    if (leading.prep) preparation.unshift(leading.prep);
+    if (trailing) preparation.push(trailing);
+
+    result.item = normalizeText(leading.name) || null;
+    result.preparation = preparation.map(normalizeText).filter(Boolean).join(', ') || null;
+    return result;
+};
+
+export const parseIngredients = (lines) => (Array.isArray(lines) ? lines : []).map(parseIngredientLine);
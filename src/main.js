@@ -3,30 +3,41 @@ import { Actor, log } from 'apify';
 import { CheerioCrawler, Dataset } from 'crawlee';
 import { load as cheerioLoad } from 'cheerio';
 import { gotScraping } from 'got-scraping';
+import { createTextFetcher, discoverSitemapUrls } from './sitemap.js';
+import { createIncrementalState } from './incremental.js';
+import { buildRecipeFilter, createRejectionReport } from './filters.js';
+import { dietLabelFor } from './dietary.js';
+import { buildExports, EXPORT_FORMATS } from './exporters.js';
+import { TARGET_UNITS } from './conversion.js';
+import {
+    blockedError,
+    blockFromStatus,
+    createBlockReport,
+    createThrottle,
+    detectBlock,
+    parseRetryAfter,
+    statusFromError,
+} from './blocking.js';
+import { contentFingerprint, createDuplicateIndex } from './dedupe.js';
+import { createRunSummary } from './summary.js';
+import { DEFAULT_SITE, SITES, siteByName, siteForUrl } from './sites.js';
+import {
+    arrify,
+    buildRecipeItem,
+    extractRecipe,
+    hasCoreRecipeData,
+    isRecipeUrl,
+    mergeRecipe,
+    normalize,
+    normalizeRecipeUrl,
+    parseJsonLdScripts,
+    resolveRecipeUrls,
+    toAbs,
+    uniq,
+} from './parser.js';
 
 await Actor.init();
 
-const normalize = (value) => {
-    if (!value) return null;
-    if (Array.isArray(value)) return value.map(normalize).filter(Boolean);
-    return String(value).replace(/\s+/g, ' ').trim() || null;
-};
-
-const toAbs = (href, base = 'https://www.epicurious.com') => {
-    try {
-        return new URL(href, base).href.split('#')[0];
-    } catch {
-        return null;
-    }
-};
-
-const arrify = (value) => {
-    if (!value) return [];
-    return Array.isArray(value) ? value : [value];
-};
-
-const uniq = (list) => [...new Set(list.filter(Boolean))];
-
 const buildHeaders = () => ({
     'User-Agent':
         'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
@@ -36,28 +47,7 @@ const buildHeaders = () => ({
     'Cache-Control': 'no-cache',
 });
 
-const parseJsonLdScripts = ($) => {
-    const parsed = [];
-    $('script[type="application/ld+json"]').each((_, el) => {
-        const raw = $(el).contents().text();
-        if (!raw) return;
-        try {
-            const json = JSON.parse(raw);
-            if (Array.isArray(json)) {
-                parsed.push(...json);
-            } else if (json?.['@graph']) {
-                parsed.push(...arrify(json['@graph']));
-            } else {
-                parsed.push(json);
-            }
-        } catch {
-            // Malformed LD blocks are common; ignore and continue
-        }
-    });
-    return parsed;
-};
-
-const extractListLinks = (jsonNodes, base) => {
+const extractListLinks = (jsonNodes, base, site) => {
     const urls = [];
     for (const node of jsonNodes) {
         if (!node) continue;
@@ -67,224 +57,165 @@ const extractListLinks = (jsonNodes, base) => {
             for (const entry of node.itemListElement) {
                 const raw = entry.url || entry.item?.url;
                 const url = toAbs(raw, base);
-                if (url && /\/recipes\/food\/views\//.test(url)) urls.push(url);
+                if (url && isRecipeUrl(url, site)) urls.push(url);
             }
         }
     }
     return urls;
 };
 
-const collectInstructionLines = (instructions) => {
-    const steps = [];
-    const walk = (node) => {
-        if (!node) return;
-        if (Array.isArray(node)) {
-            node.forEach(walk);
-            return;
-        }
-        if (typeof node === 'string') {
-            const clean = normalize(node);
-            if (clean) steps.push(clean);
-            return;
-        }
-        if (typeof node === 'object') {
-            if (node.text || node.description) {
-                const text = normalize(node.text || node.description);
-                if (text) steps.push(text);
-            }
-            if (node.itemListElement) walk(node.itemListElement);
-        }
-    };
-    walk(instructions);
-    return uniq(steps);
-};
-
-const pickImage = (image) => {
-    if (!image) return null;
-    if (typeof image === 'string') return image;
-    if (Array.isArray(image)) {
-        for (const img of image) {
-            const candidate = pickImage(img);
-            if (candidate) return candidate;
-        }
+// Start URLs come from the requestListSources editor ({ url }) or as plain strings.
+// Each one is handled by the adapter for its hostname; search queries run on every selected site.
+const buildStartRequests = ({ startUrls, startUrl, searchQueries, sites }) => {
+    const requests = [];
+    for (const entry of arrify(startUrls)) {
+        const url = toAbs(typeof entry === 'string' ? entry : entry?.url);
+        if (url) requests.push({ url, origin: { start_url: url, search_query: null } });
     }
-    if (typeof image === 'object') return image.url || image['@id'] || null;
-    return null;
-};
-
-const extractRecipeFromJsonLd = (jsonNodes) => {
-    for (const node of jsonNodes) {
-        if (!node) continue;
-        const possible = Array.isArray(node) ? node : [node];
-        for (const item of possible) {
-            const type = item?.['@type'] || item?.type;
-            const isRecipe = type === 'Recipe' || (Array.isArray(type) && type.includes('Recipe'));
-            if (!isRecipe) continue;
-            const keywords = item.keywords
-                ? (Array.isArray(item.keywords) ? item.keywords : String(item.keywords).split(','))
-                : [];
-            const instructions = collectInstructionLines(item.recipeInstructions);
-            const ingredients = arrify(item.recipeIngredient).map(normalize).filter(Boolean);
-            return {
-                title: normalize(item.name),
-                author: normalize(
-                    Array.isArray(item.author)
-                        ? item.author.map((a) => (typeof a === 'object' ? a.name : a)).join(', ')
-                        : typeof item.author === 'object'
-                            ? item.author?.name
-                            : item.author,
-                ),
-                description: normalize(item.description),
-                prep_time: normalize(item.prepTime),
-                cook_time: normalize(item.cookTime),
-                total_time: normalize(item.totalTime),
-                servings: normalize(item.recipeYield),
-                ingredients,
-                instructions,
-                tags: uniq([
-                    ...arrify(item.recipeCuisine).map(normalize),
-                    ...arrify(item.recipeCategory).map(normalize),
-                    ...keywords.map(normalize),
-                ]).filter(Boolean),
-                image_url: pickImage(item.image),
-                cuisine: normalize(arrify(item.recipeCuisine)[0]),
-                category: normalize(arrify(item.recipeCategory)[0]),
-                difficulty: item.aggregateRating?.ratingValue
-                    ? `Rated ${item.aggregateRating.ratingValue}`
-                    : null,
-                date_published: normalize(item.datePublished),
-                rating_value: item.aggregateRating?.ratingValue || null,
-                rating_count: item.aggregateRating?.ratingCount || item.aggregateRating?.reviewCount || null,
-                rating_best: item.aggregateRating?.bestRating || null,
-                rating_worst: item.aggregateRating?.worstRating || null,
-                nutrition: item.nutrition || null,
-            };
+    for (const query of arrify(searchQueries)) {
+        const clean = normalize(query);
+        if (!clean) continue;
+        for (const site of sites) {
+            const url = site.searchUrl(clean);
+            requests.push({ url, origin: { start_url: url, search_query: clean } });
         }
     }
-    return null;
-};
-
-const parseHtmlRecipe = ($) => {
-    const title =
-        normalize($('h1').first().text()) ||
-        normalize($('[data-testid*="hed"], [class*="headline"]').first().text());
-    const author =
-        normalize($('[rel="author"]').first().text()) ||
-        normalize($('[class*="byline"] a, [class*="contributor"]').first().text());
-    const description =
-        normalize($('[data-testid*="dek"], [class*="description"], [class*="subheading"]').first().text()) ||
-        normalize($('meta[name="description"]').attr('content'));
-    const servings =
-        normalize($('[data-testid*="servings"], [class*="yield"], [class*="servings"]').first().text()) ||
-        normalize($('meta[itemprop="recipeYield"]').attr('content'));
-
-    const ingredients = [];
-    $('li[data-testid*="ingredient"], li[class*="ingredient"], .ingredient, .ingredient-group li').each((_, el) => {
-        const text = normalize($(el).text());
-        if (text) ingredients.push(text);
+    if (!requests.length && startUrl) {
+        const url = toAbs(startUrl);
+        if (url) requests.push({ url, origin: { start_url: url, search_query: null } });
+    }
+    const supported = requests.filter(({ url }) => {
+        if (!/^https?:\/\//i.test(url)) {
+            log.warning(`Skipping start URL ${url}: only http(s) URLs are allowed`);
+            return false;
+        }
+        if (siteForUrl(url)) return true;
+        const supportedSites = SITES.map((site) => site.label).join(', ');
+        log.warning(`Skipping ${url}: no site adapter for it (supported: ${supportedSites})`);
+        return false;
     });
+    return supported.map(({ url, origin }) => ({
+        url,
+        userData: isRecipeUrl(url) ? { label: 'DETAIL', origin } : { label: 'LIST', pageNo: 1, origin },
+    }));
+};
 
-    const instructions = [];
-    $('li[data-testid*="instruction"], [class*="instruction"], .preparation-steps li, ol li, .step, .direction').each(
-        (_, el) => {
-            const text = normalize($(el).text());
-            if (text) instructions.push(text);
-        },
-    );
+const buildUrlOnlyItem = (url, recipeType, origin) => ({
+    title: normalize(url.split('/').pop()?.replace(/-/g, ' ')) || 'Recipe',
+    url,
+    recipe_type: recipeType,
+    start_url: origin?.start_url || null,
+    search_query: origin?.search_query || null,
+    _source: (siteForUrl(url) || DEFAULT_SITE).source,
+    // Nothing was fetched, so the title is only a guess from the URL
+    _provenance: { title: 'url_slug' },
+});
 
-    const prepTime =
-        normalize($('time[itemprop="prepTime"]').text()) ||
-        normalize($('[data-testid*="prep-time"], [class*="prep-time"]').first().text());
-    const cookTime =
-        normalize($('time[itemprop="cookTime"]').text()) ||
-        normalize($('[data-testid*="cook-time"], [class*="cook-time"]').first().text());
-    const totalTime =
-        normalize($('time[itemprop="totalTime"]').text()) ||
-        normalize($('[data-testid*="total-time"], [class*="total-time"]').first().text());
-
-    const image =
-        $('meta[property="og:image"]').attr('content') ||
-        $('img[data-testid*="image"], img[class*="recipe"]').first().attr('src');
-
-    const tags = [];
-    $('[data-testid*="tag"], a[href*="tags/"]').each((_, el) => {
-        const text = normalize($(el).text());
-        if (text) tags.push(text);
-    });
+// Lowercased tags, category and cuisine: what "sharing a tag" with a parent recipe is judged on
+const recipeTopics = (recipe) =>
+    uniq([...(recipe.tags || []), recipe.category, recipe.cuisine].map((value) => normalize(value)?.toLowerCase()));
 
-    return {
-        title,
-        author,
-        description,
-        prep_time: prepTime,
-        cook_time: cookTime,
-        total_time: totalTime,
-        servings,
-        ingredients: uniq(ingredients),
-        instructions: uniq(instructions),
-        image_url: image || null,
-        tags: uniq(tags),
-    };
+const sharesTopic = (parentTopics, recipe) => {
+    const topics = new Set(recipeTopics(recipe));
+    return parentTopics.some((topic) => topics.has(topic));
 };
 
-const mergeRecipe = (base, extra) => {
-    if (!extra) return base || {};
-    const merged = { ...(base || {}) };
-    const fields = [
-        'title',
-        'author',
-        'description',
-        'prep_time',
-        'cook_time',
-        'total_time',
-        'servings',
-        'image_url',
-        'cuisine',
-        'category',
-        'difficulty',
-        'date_published',
-        'rating_value',
-        'rating_count',
-        'rating_best',
-        'rating_worst',
-    ];
-    for (const field of fields) {
-        if (!merged[field] && extra[field]) merged[field] = extra[field];
-    }
-    if (extra.ingredients?.length) {
-        merged.ingredients = uniq([...(merged.ingredients || []), ...extra.ingredients]);
-    }
-    if (extra.instructions?.length) {
-        merged.instructions = uniq([...(merged.instructions || []), ...extra.instructions]);
-    }
-    if (extra.tags?.length) {
-        merged.tags = uniq([...(merged.tags || []), ...extra.tags]);
+// Full-catalog mode: every recipe URL listed in the sitemaps becomes a DETAIL request.
+// Given sitemap URLs may list recipes of any known site; otherwise each site's robots.txt is read.
+const discoverFromSitemaps = async ({ sitemapUrls, sites, since, limit, proxyConf }) => {
+    const fetchText = createTextFetcher(async (url) =>
+        gotScraping({
+            url,
+            headers: { ...buildHeaders(), Accept: 'application/xml,text/xml,text/plain,*/*;q=0.8' },
+            proxyUrl: proxyConf ? await proxyConf.newUrl() : undefined,
+            timeout: { request: 30000 },
+            responseType: 'buffer',
+            throwHttpErrors: false,
+        }),
+    );
+    const runs = sitemapUrls.length
+        ? [{ baseUrl: DEFAULT_SITE.baseUrl, sitemapUrls, match: (url) => isRecipeUrl(url) }]
+        : sites.map((site) => ({ baseUrl: site.baseUrl, sitemapUrls: [], match: (url) => isRecipeUrl(url, site) }));
+    const entries = [];
+    for (const run of runs) {
+        if (entries.length >= limit) break;
+        const found = await discoverSitemapUrls({ ...run, fetchText, since, limit: limit - entries.length, log });
+        entries.push(...found.entries);
+        log.info(
+            `Sitemap discovery (${run.sitemapUrls.length ? 'given sitemaps' : run.baseUrl}): ` +
+                `${found.entries.length} recipe URLs from ${found.stats.sitemaps} sitemaps ` +
+                `(${found.stats.failed} failed, ${found.stats.skippedByDate} skipped by lastmod)`,
+        );
     }
-    if (extra.nutrition && !merged.nutrition) merged.nutrition = extra.nutrition;
-    return merged;
+    return entries.map((entry) => ({
+        url: entry.url,
+        userData: {
+            label: 'DETAIL',
+            lastmod: entry.lastmod,
+            origin: { start_url: entry.sitemap, search_query: null },
+        },
+    }));
 };
 
-const hasCoreRecipeData = (recipe) =>
-    Boolean(recipe?.title && recipe?.ingredients?.length && recipe?.instructions?.length);
-
-const buildAlternateDetailUrls = (url) => {
-    const cleaned = url.split('?')[0].replace(/\/$/, '');
-    const alternates = [cleaned, `${cleaned}?output=1`, `${cleaned}?page=all`, `${cleaned}/amp`];
-    return uniq(alternates);
+// Completion webhook: a failed delivery is logged, never fails the run
+const sendWebhook = async (url, runSummary) => {
+    try {
+        const res = await gotScraping({
+            url,
+            method: 'POST',
+            json: { event: 'run.finished', summary: runSummary },
+            timeout: { request: 15000 },
+            retry: { limit: 2, methods: ['POST'] },
+            throwHttpErrors: false,
+        });
+        if (res.statusCode >= 400) log.warning(`Webhook ${url} answered HTTP ${res.statusCode}`);
+        else log.info(`Run summary sent to webhook (HTTP ${res.statusCode})`);
+    } catch (err) {
+        log.warning(`Webhook ${url} failed: ${err.message}`);
+    }
 };
 
 async function main() {
     try {
         const input = (await Actor.getInput()) || {};
         const {
+            startUrls,
             startUrl = 'https://www.epicurious.com/recipes-menus/our-favorite-vegetarian-recipes',
+            searchQueries,
+            discoveryMode = 'listing',
+            sitemapUrls,
+            modifiedSince,
             recipeType = 'vegetarian',
             results_wanted: RESULTS_WANTED_RAW = 50,
             max_pages: MAX_PAGES_RAW = 10,
             collectDetails: COLLECT_DETAILS_RAW,
             proxyConfiguration,
             dedupe = true,
+            incremental = false,
+            stateStoreName = 'recipes-incremental-state',
+            minRating,
+            minRatingCount,
+            maxTotalMinutes,
+            requiredTags,
+            excludedTags,
+            excludedIngredients,
+            enforceRecipeType = false,
+            includeReviews = false,
+            maxReviews: MAX_REVIEWS_RAW = 10,
+            includeExtras = true,
+            followRelated = false,
+            maxDepth: MAX_DEPTH_RAW = 1,
+            relatedMustShareTag = false,
+            exportFormats = [],
+            failedDatasetName = 'recipes-failed',
+            saveIncomplete = false,
+            maxConcurrency: MAX_CONCURRENCY_RAW = 5,
+            target_units: TARGET_UNITS_RAW,
+            target_servings: TARGET_SERVINGS_RAW,
+            webhookUrl,
+            sites: SITES_RAW = [DEFAULT_SITE.name],
         } = input;
+        const summary = createRunSummary();
 
         // Respect the UI toggle: default true, but if user sets false, only URLs are collected
         const collectDetails =
@@ -294,32 +225,120 @@ async function main() {
             ? Math.max(1, +RESULTS_WANTED_RAW)
             : Number.MAX_SAFE_INTEGER;
         const MAX_PAGES = Number.isFinite(+MAX_PAGES_RAW) ? Math.max(1, +MAX_PAGES_RAW) : 10;
+        const MAX_REVIEWS = Number.isFinite(+MAX_REVIEWS_RAW) ? Math.max(0, +MAX_REVIEWS_RAW) : 10;
+        const MAX_DEPTH = Number.isFinite(+MAX_DEPTH_RAW) ? Math.max(0, +MAX_DEPTH_RAW) : 1;
+        // Search queries and sitemap discovery run on these sites; start URLs pick their adapter by hostname
+        const sites = uniq(arrify(SITES_RAW).map(siteByName));
+        const unknownSites = arrify(SITES_RAW).filter((name) => !siteByName(name));
+        if (unknownSites.length) log.warning(`Ignoring unknown sites: ${unknownSites.join(', ')}`);
+        if (!sites.length) sites.push(DEFAULT_SITE);
+        const MAX_CONCURRENCY = Number.isFinite(+MAX_CONCURRENCY_RAW) ? Math.max(1, +MAX_CONCURRENCY_RAW) : 5;
+        const unitsWanted = TARGET_UNITS_RAW ? String(TARGET_UNITS_RAW).trim().toLowerCase() : null;
+        const targetUnits = TARGET_UNITS.includes(unitsWanted) ? unitsWanted : null;
+        if (unitsWanted && !targetUnits) {
+            log.warning(`Ignoring unknown target_units "${TARGET_UNITS_RAW}"; use ${TARGET_UNITS.join(' or ')}`);
+        }
+        const targetServings = +TARGET_SERVINGS_RAW > 0 ? +TARGET_SERVINGS_RAW : null;
+        if (TARGET_SERVINGS_RAW && !targetServings) {
+            log.warning(`Ignoring target_servings "${TARGET_SERVINGS_RAW}"; it must be a positive number`);
+        }
 
         const proxyConf = proxyConfiguration
             ? await Actor.createProxyConfiguration({ ...proxyConfiguration })
             : undefined;
 
         let saved = 0;
+        let unchanged = 0;
+        let failed = 0;
         const seenUrls = dedupe ? new Set() : null;
+        // true the first time a (normalized) URL is seen; always true with dedupe off
+        const claimUrl = (url) => {
+            if (!seenUrls) return true;
+            if (seenUrls.has(url)) return false;
+            seenUrls.add(url);
+            return true;
+        };
+        // URLs only catch the same slug; the index also catches other slugs, redirects and AMP copies
+        const duplicateIndex = dedupe ? createDuplicateIndex() : null;
+
+        const recipeFilter = buildRecipeFilter({
+            minRating,
+            minRatingCount,
+            maxTotalMinutes,
+            requiredTags,
+            excludedTags,
+            excludedIngredients,
+            requiredDietLabel: enforceRecipeType ? dietLabelFor(recipeType) : null,
+        });
+        if (enforceRecipeType && !dietLabelFor(recipeType)) {
+            log.warning(`recipeType "${recipeType}" is not a dietary label; enforceRecipeType has no effect`);
+        }
+        const rejections = createRejectionReport();
+        if (recipeFilter.active && !collectDetails) {
+            log.warning('Recipe filters need collectDetails=true; URL-only results are not filtered');
+        }
+
+        // Cross-run memory of scraped recipes; only new or changed recipes are pushed when enabled
+        const incrementalState = incremental
+            ? await createIncrementalState(await Actor.openKeyValueStore(stateStoreName), { log })
+            : null;
+        if (incrementalState) {
+            log.info(`Incremental mode: ${incrementalState.size()} recipes known from previous runs`);
+            Actor.on('persistState', () => incrementalState.persist());
+        }
+
+        // Recipes that errored or stayed incomplete are kept apart with the reason, instead of only a log line
+        // The failed dataset is named, so it outlives the run; run_id tells the runs' records apart
+        const runId = Actor.getEnv().actorRunId || `local-${new Date().toISOString()}`;
+        const failedDataset = await Actor.openDataset(failedDatasetName);
+        const recordFailure = async ({
+            request,
+            reason,
+            httpStatus = null,
+            error = null,
+            item = null,
+            alternates = [],
+        }) => {
+            failed += 1;
+            summary.detailFailed(reason);
+            await failedDataset.pushData({
+                run_id: runId,
+                url: request.url,
+                reason,
+                http_status: httpStatus,
+                error: error ? error.message || String(error) : null,
+                title: item?.title || null,
+                missing_core_fields: item?._missing_core_fields || null,
+                completeness: item?._completeness ?? null,
+                provenance: item?._provenance || null,
+                alternates_tried: alternates,
+                start_url: request.userData?.origin?.start_url || null,
+                depth: request.userData?.depth || 0,
+                retry_count: request.retryCount,
+                failed_at: new Date().toISOString(),
+            });
+        };
+
+        // Skipped recipes (filtered out or unchanged) do not count toward results_wanted,
+        // so more links than results_wanted are enqueued and the crawl stops once enough are saved
+        const overfetch = (recipeFilter.active && collectDetails) || Boolean(incrementalState);
 
-        const findRecipeLinks = ($, base) => {
+        // Every recipe link on the page, seen before or not, so the run summary can compare sources.
+        // Only the listing's own site counts; cross-promoted recipes from sister sites are left alone
+        const findRecipeLinks = ($, base, site) => {
             const urls = new Set();
-            $('a[href*="/recipes/food/views/"], [data-link-type="recipe"] a, .recipe-card a').each((_, el) => {
+            $(site.listing.linkSelector).each((_, el) => {
                 const href = $(el).attr('href');
                 const abs = href ? toAbs(href, base) : null;
-                if (!abs) return;
-                if (/\/recipes\/food\/views\//.test(abs)) {
-                    const clean = abs.split('?')[0];
-                    if (!seenUrls || !seenUrls.has(clean)) {
-                        urls.add(clean);
-                        if (seenUrls) seenUrls.add(clean);
-                    }
-                }
+                if (abs && isRecipeUrl(abs, site)) urls.add(normalizeRecipeUrl(abs));
             });
             return [...urls];
         };
 
-        const findNextPage = ($, base) => {
+        const findNextPage = ($, base, site) => {
+            const own = site.listing.nextPageSelector && $(site.listing.nextPageSelector).first().attr('href');
+            if (own) return toAbs(own, base);
+
             const rel = $('a[rel="next"]').attr('href');
             if (rel) return toAbs(rel, base);
 
@@ -336,11 +355,31 @@ async function main() {
             return null;
         };
 
+        // Blocks are counted where they surface: thrown out of the handler, or rejected by crawlee on status
+        const blocks = createBlockReport();
+        const noteBlock = (block, url, retryAfter = null) => {
+            blocks.add(block, url);
+            if (block.type === 'rate_limited') throttle.onRateLimited(parseRetryAfter(retryAfter));
+        };
+        const blockOf = (error, response) =>
+            error?.block || blockFromStatus(response?.statusCode ?? statusFromError(error));
+        // Each failed attempt counts once; paywall retries were counted on detection,
+        // and for status blocks (401/403/429) crawlee has already retired the session. A 503 is
+        // thrown by crawlee as a server error, so its session is retired here
+        const noteFailedRequest = (request, response, error, session) => {
+            const block = blockOf(error, response);
+            if (!block || error.counted) return block;
+            if (block.type === 'unavailable') session?.retire();
+            if (!error.block) blocks.sessionRetired();
+            noteBlock(block, request.url, response?.headers?.['retry-after']);
+            return block;
+        };
+
         const crawler = new CheerioCrawler({
             proxyConfiguration: proxyConf,
             maxRequestRetries: 3,
             useSessionPool: true,
-            maxConcurrency: 5,
+            maxConcurrency: MAX_CONCURRENCY,
             requestHandlerTimeoutSecs: 90,
             additionalMimeTypes: ['application/json'],
             preNavigationHooks: [
@@ -348,138 +387,425 @@ async function main() {
                     request.headers = { ...(request.headers || {}), ...buildHeaders() };
                 },
             ],
-            async requestHandler({ request, $, enqueueLinks, proxyInfo, log: crawlerLog }) {
+            postNavigationHooks: [
+                async ({ response }) => {
+                    if (response && response.statusCode < 400) throttle.onSuccess();
+                },
+            ],
+            async requestHandler({ request, response, session, $, enqueueLinks, log: crawlerLog }) {
                 const label = request.userData?.label || 'LIST';
                 const pageNo = request.userData?.pageNo || 1;
+                const origin = request.userData?.origin || null;
+                const depth = request.userData?.depth || 0;
+                // Start URLs without an adapter are dropped and links never leave known sites
+                const site = siteForUrl(request.url);
 
                 if (label === 'LIST') {
                     crawlerLog.info(
                         `Listing page ${pageNo}: ${request.url} | collectDetails=${collectDetails}`,
                     );
                     const ldNodes = parseJsonLdScripts($);
-                    const jsonLinks = extractListLinks(ldNodes, request.url);
-                    const htmlLinks = findRecipeLinks($, request.url);
-                    const combined = uniq([...jsonLinks, ...htmlLinks]);
+                    const jsonLinks = uniq(
+                        extractListLinks(ldNodes, request.url, site).map((u) => normalizeRecipeUrl(u)),
+                    );
+                    const htmlLinks = findRecipeLinks($, request.url, site);
+                    const listBlock = detectBlock($, {
+                        statusCode: response?.statusCode,
+                        hasContent: jsonLinks.length + htmlLinks.length > 0,
+                    });
+                    if (listBlock) {
+                        // A new session (cookies + proxy IP) is the usual way past a challenge page
+                        session?.retire();
+                        blocks.sessionRetired();
+                        throw blockedError(listBlock);
+                    }
+                    const combined = uniq([...jsonLinks, ...htmlLinks]).filter(claimUrl);
+                    summary.listingVisited({
+                        jsonld: jsonLinks.length,
+                        html: htmlLinks.length,
+                        htmlOnly: htmlLinks.filter((u) => !jsonLinks.includes(u)).length,
+                        fresh: combined.length,
+                    });
+                    // URL-only items have nothing to compare, so a known URL is simply skipped
+                    const candidates =
+                        incrementalState && !collectDetails
+                            ? combined.filter((u) => !incrementalState.has(u))
+                            : combined;
                     const remaining = RESULTS_WANTED - saved;
-                    const limited = remaining < combined.length ? combined.slice(0, remaining) : combined;
+                    const limited =
+                        !overfetch && remaining < candidates.length ? candidates.slice(0, remaining) : candidates;
                     crawlerLog.info(
                         `Found ${combined.length} recipe links (JSON-LD + HTML). Enqueueing ${limited.length}`,
                     );
 
                     if (collectDetails && limited.length) {
-                        await enqueueLinks({ urls: limited, userData: { label: 'DETAIL' } });
+                        await enqueueLinks({ urls: limited, userData: { label: 'DETAIL', origin } });
                     } else if (!collectDetails && limited.length) {
-                        await Dataset.pushData(
-                            limited.map((u) => ({
-                                title: normalize(u.split('/').pop()?.replace(/-/g, ' ')) || 'Recipe',
-                                url: u,
-                                recipe_type: recipeType,
-                                _source: 'epicurious.com',
-                            })),
-                        );
+                        await Dataset.pushData(limited.map((u) => buildUrlOnlyItem(u, recipeType, origin)));
+                        limited.forEach((u) => incrementalState?.recordUrl(u));
                         saved += limited.length;
                         crawlerLog.info(`Saved ${saved}/${RESULTS_WANTED} recipe URLs`);
                     }
 
-                    if (saved < RESULTS_WANTED && pageNo < MAX_PAGES) {
-                        const nextUrl = findNextPage($, request.url);
-                        if (nextUrl) {
-                            await enqueueLinks({
-                                urls: [nextUrl],
-                                userData: { label: 'LIST', pageNo: pageNo + 1 },
-                            });
-                            crawlerLog.info(`Found next page: ${nextUrl}`);
-                        } else {
-                            crawlerLog.info('No next page found - pagination complete');
-                        }
+                    const nextUrl = findNextPage($, request.url, site);
+                    if (saved >= RESULTS_WANTED) {
+                        summary.listingEnded('results_wanted');
+                    } else if (!nextUrl) {
+                        summary.listingEnded('no_next_page');
+                        crawlerLog.info('No next page found - pagination complete');
+                    } else if (pageNo >= MAX_PAGES) {
+                        summary.listingEnded('max_pages');
+                        crawlerLog.info(`Reached max_pages (${MAX_PAGES}), not following ${nextUrl}`);
+                    } else {
+                        await enqueueLinks({
+                            urls: [nextUrl],
+                            userData: { label: 'LIST', pageNo: pageNo + 1, origin },
+                        });
+                        crawlerLog.info(`Found next page: ${nextUrl}`);
                     }
                     return;
                 }
 
                 if (label === 'DETAIL') {
                     if (saved >= RESULTS_WANTED) return;
+                    summary.detailAttempted(request.uniqueKey);
                     try {
-                        const ldNodes = parseJsonLdScripts($);
-                        let recipe = extractRecipeFromJsonLd(ldNodes) || {};
-                        recipe = mergeRecipe(recipe, parseHtmlRecipe($));
+                        let recipe = extractRecipe($, request.url);
+                        // Kept on the request so failure records after a retry still list what was tried
+                        const alternates = request.userData.alternatesTried || [];
+                        const pageBlock = detectBlock($, {
+                            statusCode: response?.statusCode,
+                            hasContent: hasCoreRecipeData(recipe),
+                        });
+                        if (pageBlock) {
+                            session?.retire();
+                            blocks.sessionRetired();
+                            // Alternate URLs exist to get around paywalls; anything else is retried on a new session
+                            if (pageBlock.type !== 'paywall') throw blockedError(pageBlock);
+                            noteBlock(pageBlock, request.url);
+                        }
 
-                        if (!hasCoreRecipeData(recipe)) {
-                            const altCandidates = buildAlternateDetailUrls(request.url);
+                        // Alternates are tried once per request, not again on every retry after a paywall
+                        if (!hasCoreRecipeData(recipe) && !request.userData.alternatesTried) {
+                            request.userData.alternatesTried = alternates;
+                            const altCandidates = uniq(site.alternateUrls(request.url)).filter(
+                                (u) => u !== request.url && u !== request.loadedUrl,
+                            );
+                            // The page's own session may just have been retired, so alternates go out on a new proxy IP
+                            const altProxyUrl = proxyConf ? await proxyConf.newUrl() : undefined;
                             for (const altUrl of altCandidates) {
                                 try {
                                     const res = await gotScraping({
                                         url: altUrl,
                                         headers: buildHeaders(),
-                                        proxyUrl: proxyInfo?.url,
+                                        proxyUrl: altProxyUrl,
                                         timeout: { request: 20000 },
                                         http2: true,
                                         throwHttpErrors: false,
                                     });
-                                    if (res.statusCode >= 200 && res.statusCode < 400 && res.body) {
-                                        const $alt = cheerioLoad(res.body);
-                                        const altRecipe = mergeRecipe(
-                                            extractRecipeFromJsonLd(parseJsonLdScripts($alt)),
-                                            parseHtmlRecipe($alt),
-                                        );
+                                    const $alt = res.body ? cheerioLoad(res.body) : null;
+                                    const altRecipe = $alt
+                                        ? extractRecipe($alt, request.url, { source: `alternate:${altUrl}` })
+                                        : null;
+                                    const altBlock = $alt
+                                        ? detectBlock($alt, {
+                                              statusCode: res.statusCode,
+                                              hasContent: hasCoreRecipeData(mergeRecipe(recipe, altRecipe)),
+                                          })
+                                        : blockFromStatus(res.statusCode);
+                                    alternates.push({
+                                        url: altUrl,
+                                        http_status: res.statusCode,
+                                        block: altBlock?.type || null,
+                                    });
+                                    // More requests through a blocked session only dig the hole deeper
+                                    if (altBlock && altBlock.type !== 'paywall') {
+                                        noteBlock(altBlock, altUrl, res.headers?.['retry-after']);
+                                        break;
+                                    }
+                                    if (res.statusCode >= 200 && res.statusCode < 400 && altRecipe) {
                                         recipe = mergeRecipe(recipe, altRecipe);
                                         if (hasCoreRecipeData(recipe)) break;
                                     }
                                 } catch (err) {
+                                    alternates.push({ url: altUrl, http_status: null, error: err.message });
                                     crawlerLog.debug(`Alt fetch failed for ${altUrl}: ${err.message}`);
                                 }
                             }
+                            summary.alternateFallback({
+                                requests: alternates.length,
+                                succeeded: hasCoreRecipeData(recipe),
+                            });
                         }
 
-                        if (!recipe.title) {
-                            recipe.title =
-                                normalize(request.url.split('/').pop()?.replace(/-/g, ' ')) ||
-                                'Untitled Recipe';
+                        const { canonicalUrl, fromRedirect, aliasUrls } = resolveRecipeUrls({
+                            requestUrl: request.url,
+                            loadedUrl: request.loadedUrl,
+                            canonicalUrl: recipe.canonical_url,
+                        });
+                        if (fromRedirect) {
+                            recipe.canonical_url = canonicalUrl;
+                            recipe._provenance.canonical_url = 'redirect';
                         }
-
-                        const item = {
-                            title: recipe.title,
-                            author: recipe.author || null,
-                            description: recipe.description || null,
-                            recipe_type: recipeType,
-                            ingredients: recipe.ingredients || [],
-                            ingredients_count: recipe.ingredients ? recipe.ingredients.length : 0,
-                            instructions: recipe.instructions?.join(' | ') || null,
-                            instructions_list: recipe.instructions || [],
-                            prep_time: recipe.prep_time || null,
-                            cook_time: recipe.cook_time || null,
-                            total_time: recipe.total_time || null,
-                            servings: recipe.servings || null,
-                            difficulty: recipe.difficulty || null,
-                            cuisine: recipe.cuisine || null,
-                            category: recipe.category || null,
-                            tags: recipe.tags || [],
-                            image_url: recipe.image_url || null,
-                            date_published: recipe.date_published || null,
-                            rating_value: recipe.rating_value || null,
-                            rating_count: recipe.rating_count || null,
-                            rating_best: recipe.rating_best || null,
-                            rating_worst: recipe.rating_worst || null,
-                            nutrition: recipe.nutrition || null,
+                        const item = buildRecipeItem(recipe, {
                             url: request.url,
-                            scraped_at: new Date().toISOString(),
-                            _source: 'epicurious.com',
-                        };
+                            aliasUrls,
+                            recipeType,
+                            includeReviews,
+                            maxReviews: MAX_REVIEWS,
+                            includeExtras,
+                            origin,
+                            discoveredFrom: request.userData?.discoveredFrom || null,
+                            depth,
+                            targetUnits,
+                            targetServings,
+                        });
+
+                        // A paywalled page gets the remaining retries on fresh sessions before it counts as incomplete
+                        if (
+                            pageBlock &&
+                            item._missing_core_fields.length &&
+                            request.retryCount < crawler.maxRequestRetries
+                        ) {
+                            throw Object.assign(blockedError(pageBlock), { counted: true });
+                        }
+
+                        // With saveIncomplete the recipe is saved below, so it is not a failure as well
+                        if (item._missing_core_fields.length) {
+                            crawlerLog.warning(
+                                `Incomplete recipe ${request.url}: missing ${item._missing_core_fields.join(', ')}`,
+                            );
+                            if (!saveIncomplete) {
+                                await recordFailure({
+                                    request,
+                                    reason: 'incomplete',
+                                    httpStatus: response?.statusCode ?? null,
+                                    item,
+                                    alternates,
+                                });
+                                return;
+                            }
+                        }
 
-                        await Dataset.pushData(item);
+                        const reasons = recipeFilter.check(item);
+                        const parentTopics = request.userData?.parentTopics;
+                        if (parentTopics?.length && !sharesTopic(parentTopics, recipe)) {
+                            reasons.push('related_no_shared_tag');
+                        }
+                        if (reasons.length) {
+                            rejections.add(reasons);
+                            crawlerLog.info(`Filtered out ${item.url}: ${reasons.join(', ')}`);
+                            return;
+                        }
+
+                        // Checked and registered with no await in between, so parallel requests cannot both pass
+                        if (duplicateIndex) {
+                            const fingerprint = contentFingerprint(item);
+                            const duplicate = duplicateIndex.find({ canonicalUrl: item.canonical_url, fingerprint });
+                            if (duplicate) {
+                                duplicateIndex.merge(duplicate, [item.canonical_url, ...item.alias_urls]);
+                                crawlerLog.info(
+                                    `Duplicate of ${duplicate.entry.url} (${duplicate.rule}), skipping: ${item.url}`,
+                                );
+                                return;
+                            }
+                            duplicateIndex.add({
+                                canonicalUrl: item.canonical_url,
+                                fingerprint,
+                                url: item.url,
+                                title: item.title,
+                                aliasUrls: item.alias_urls,
+                            });
+                            [item.canonical_url, ...item.alias_urls].forEach(claimUrl);
+                        }
+
+                        // Related recipes are followed from every accepted recipe, unchanged ones included
+                        if (followRelated && depth < MAX_DEPTH && saved < RESULTS_WANTED) {
+                            const related = (recipe.related_recipe_urls || []).filter(claimUrl);
+                            if (related.length) {
+                                await enqueueLinks({
+                                    urls: related,
+                                    userData: {
+                                        label: 'DETAIL',
+                                        origin,
+                                        depth: depth + 1,
+                                        discoveredFrom: request.url,
+                                        parentTopics: relatedMustShareTag ? recipeTopics(recipe) : null,
+                                    },
+                                });
+                                crawlerLog.info(`Enqueued ${related.length} related recipes (depth ${depth + 1})`);
+                            }
+                        }
+
+                        if (incrementalState) {
+                            const change = incrementalState.check(item);
+                            if (!change.change_type) {
+                                unchanged += 1;
+                                crawlerLog.info(`Unchanged since last run, skipping: ${item.url}`);
+                                return;
+                            }
+                            item.change_type = change.change_type;
+                            item.changed_fields = change.changed_fields;
+                            await Dataset.pushData(item);
+                            incrementalState.record(item, change);
+                        } else {
+                            await Dataset.pushData(item);
+                        }
                         saved += 1;
+                        summary.detailSaved(item);
                         crawlerLog.info(`Saved recipe ${saved}/${RESULTS_WANTED}: ${item.title}`);
+                        if (overfetch && saved >= RESULTS_WANTED) {
+                            summary.stopRequested('results_wanted');
+                            crawler.stop('results_wanted reached');
+                        }
                     } catch (err) {
+                        // Blocks go back to crawlee for a retry on another session
+                        if (err.block) throw err;
                         crawlerLog.error(`Detail page ${request.url} failed: ${err.message}`);
+                        await recordFailure({
+                            request,
+                            reason: 'error',
+                            httpStatus: response?.statusCode ?? null,
+                            error: err,
+                        });
                     }
                 }
             },
-            errorHandler: async ({ request, error, log: crawlerLog }) => {
+            errorHandler: async ({ request, response, session, log: crawlerLog }, error) => {
                 crawlerLog.error(`Request failed: ${request.url} - ${error.message}`);
+                noteFailedRequest(request, response, error, session);
             },
+            // Retries exhausted; listing pages are only logged, recipe pages are recorded as failed
+            failedRequestHandler: async ({ request, response, session, log: crawlerLog }, error) => {
+                crawlerLog.error(`Giving up on ${request.url} after ${request.retryCount} retries: ${error.message}`);
+                const block = noteFailedRequest(request, response, error, session);
+                if (request.userData?.label !== 'DETAIL') {
+                    summary.listingFailed();
+                    return;
+                }
+                summary.detailAttempted(request.uniqueKey);
+                await recordFailure({
+                    request,
+                    reason: block ? `blocked:${block.type}` : 'request_failed',
+                    httpStatus: response?.statusCode ?? block?.status ?? statusFromError(error),
+                    error,
+                });
+            },
+        });
+
+        const throttle = createThrottle({
+            getPool: () => crawler.autoscaledPool,
+            maxConcurrency: MAX_CONCURRENCY,
+            log,
         });
 
-        await crawler.run([{ url: startUrl, userData: { label: 'LIST', pageNo: 1 } }]);
-        log.info(`Scraping completed. Total recipes saved: ${saved}`);
+        const startRequests =
+            discoveryMode === 'sitemap'
+                ? await discoverFromSitemaps({
+                      sitemapUrls: arrify(sitemapUrls)
+                          .map((entry) => (typeof entry === 'string' ? entry : entry?.url))
+                          .filter((url) => {
+                              if (!url || /^https?:\/\//i.test(url)) return Boolean(url);
+                              log.warning(`Ignoring sitemap URL ${url}: only http(s) URLs are allowed`);
+                              return false;
+                          }),
+                      sites,
+                      since: modifiedSince,
+                      limit: overfetch ? Number.MAX_SAFE_INTEGER : RESULTS_WANTED,
+                      proxyConf,
+                  })
+                : buildStartRequests({ startUrls, startUrl, searchQueries, sites });
+        const initialRequests = [];
+        for (const req of startRequests) {
+            if (req.userData.label !== 'DETAIL') {
+                initialRequests.push(req);
+                continue;
+            }
+            const clean = normalizeRecipeUrl(req.url);
+            if (!claimUrl(clean)) continue;
+            if (incrementalState?.isFreshSince(clean, req.userData.lastmod)) {
+                unchanged += 1;
+                continue;
+            }
+            if (collectDetails) {
+                initialRequests.push(req);
+            } else if (saved < RESULTS_WANTED && !incrementalState?.has(clean)) {
+                // URL-only mode: a direct recipe URL needs no request at all
+                await Dataset.pushData(buildUrlOnlyItem(clean, recipeType, req.userData.origin));
+                incrementalState?.recordUrl(clean);
+                saved += 1;
+            }
+        }
+        log.info(
+            `Starting with ${startRequests.length} start request(s): ` +
+                `${startRequests.filter((r) => r.userData.label === 'LIST').length} listing, ` +
+                `${startRequests.filter((r) => r.userData.label === 'DETAIL').length} recipe`,
+        );
+
+        await crawler.run(initialRequests);
+        throttle.stop();
+        if (incrementalState) {
+            await incrementalState.persist();
+            log.info(`Incremental mode: ${unchanged} unchanged recipes skipped`);
+        }
+        if (recipeFilter.active || rejections.rejected) {
+            const report = rejections.toJSON();
+            await Actor.setValue('FILTER_REPORT', report);
+            log.info(`Filters rejected ${report.rejected} recipes: ${JSON.stringify(report.by_reason)}`);
+        }
+
+        // Recipe-manager exports are built from this run's dataset once the crawl is done
+        const formats = uniq(arrify(exportFormats).map((format) => String(format).trim().toLowerCase()));
+        const unknownFormats = formats.filter((format) => !EXPORT_FORMATS[format]);
+        if (unknownFormats.length) log.warning(`Ignoring unknown export formats: ${unknownFormats.join(', ')}`);
+        if (formats.length > unknownFormats.length && !collectDetails) {
+            log.warning('Exports need collectDetails=true; URL-only results cannot be exported');
+        } else if (formats.length > unknownFormats.length) {
+            const recipes = [];
+            await (await Actor.openDataset()).forEach((item) => {
+                if (item.title && (item.ingredients?.length || item.instructions_list?.length)) recipes.push(item);
+            });
+            for (const output of await buildExports(recipes, formats)) {
+                await Actor.setValue(output.key, output.value, { contentType: output.contentType });
+                log.info(`Exported ${recipes.length} recipes as ${output.format} to ${output.key}`);
+            }
+        }
+        if (duplicateIndex?.duplicates) {
+            const report = duplicateIndex.toJSON();
+            await Actor.setValue('DUPLICATES', report);
+            log.info(`Skipped ${report.duplicates} duplicate recipes: ${JSON.stringify(report.by_rule)}`);
+        }
+        if (blocks.blocked) {
+            const report = { ...blocks.toJSON(), ...throttle.stats() };
+            await Actor.setValue('BLOCK_REPORT', report);
+            log.warning(
+                `Blocked ${report.blocked} times: ${JSON.stringify(report.by_type)}; ` +
+                    `concurrency went as low as ${report.lowest_concurrency}`,
+            );
+        }
+        if (failed) log.warning(`${failed} recipes failed or were incomplete; see dataset "${failedDatasetName}"`);
+
+        const env = Actor.getEnv();
+        const runSummary = summary.toJSON({
+            run_id: runId,
+            dataset_id: env.defaultDatasetId,
+            key_value_store_id: env.defaultKeyValueStoreId,
+            discovery_mode: discoveryMode,
+            collect_details: collectDetails,
+            saved,
+            resultsWanted: RESULTS_WANTED === Number.MAX_SAFE_INTEGER ? null : RESULTS_WANTED,
+            duplicates: duplicateIndex?.duplicates || 0,
+            filtered: rejections.rejected,
+            unchanged,
+            blocked: blocks.blocked,
+            crawlerStats: crawler.stats.calculate(),
+        });
+        await Actor.setValue('RUN_SUMMARY', runSummary);
+        if (webhookUrl) await sendWebhook(webhookUrl, runSummary);
+        log.info(
+            `Scraping completed. Total recipes saved: ${saved} ` +
+                `(stop reason: ${runSummary.stop_reason}, ${runSummary.details.failed} failed)`,
+        );
     } finally {
         await Actor.exit();
     }
@@ -0,0 +1,126 @@
+// Nutrition normalization - schema.org NutritionInformation or the on-page panel into numeric fields
+
+// Output field -> target unit, JSON-LD property and label pattern used on nutrition panels
+const FIELDS = {
+    calories: { unit: 'kcal', jsonLd: 'calories', label: '(?:calories|energy)' },
+    fat_g: {
+        unit: 'g',
+        jsonLd: 'fatContent',
+        label: '(?<!(?:saturated|trans|unsaturated|monounsaturated|polyunsaturated)\\s)(?:total\\s+)?fat',
+    },
+    saturated_fat_g: { unit: 'g', jsonLd: 'saturatedFatContent', label: 'saturated\\s+fat' },
+    carbs_g: {
+        unit: 'g',
+        jsonLd: 'carbohydrateContent',
+        label: '(?:total\\s+)?(?:carbohydrates?|carbs)',
+    },
+    fiber_g: { unit: 'g', jsonLd: 'fiberContent', label: '(?:dietary\\s+)?fib(?:er|re)' },
+    sugar_g: { unit: 'g', jsonLd: 'sugarContent', label: '(?<!added\\s)(?:total\\s+)?sugars?' },
+    protein_g: { unit: 'g', jsonLd: 'proteinContent', label: 'protein' },
+    sodium_mg: { unit: 'mg', jsonLd: 'sodiumContent', label: 'sodium' },
+    cholesterol_mg: { unit: 'mg', jsonLd: 'cholesterolContent', label: 'cholesterol' },
+};
+
+const NUMBER = '(\\d[\\d,]*(?:\\.\\d+)?|\\.\\d+)';
+const UNIT = '(kcal|cal|calories|kj|mg|g|grams?|milligrams?|µg|mcg)';
+
+const TO_BASE = {
+    kcal: { unit: 'kcal', factor: 1 },
+    cal: { unit: 'kcal', factor: 1 },
+    calories: { unit: 'kcal', factor: 1 },
+    kj: { unit: 'kcal', factor: 1 / 4.184 },
+    g: { unit: 'g', factor: 1 },
+    gram: { unit: 'g', factor: 1 },
+    grams: { unit: 'g', factor: 1 },
+    mg: { unit: 'g', factor: 0.001 },
+    milligram: { unit: 'g', factor: 0.001 },
+    milligrams: { unit: 'g', factor: 0.001 },
+    µg: { unit: 'g', factor: 0.000001 },
+    mcg: { unit: 'g', factor: 0.000001 },
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Converts a number in `unit` into the field's target unit; unknown units are assumed to already match
+const convert = (value, unit, target) => {
+    if (!Number.isFinite(value)) return null;
+    const from = TO_BASE[String(unit || '').toLowerCase()];
+    if (!from) return round(value);
+    if (target === 'kcal') return from.unit === 'kcal' ? round(value * from.factor) : null;
+    if (from.unit !== 'g') return null;
+    const grams = value * from.factor;
+    return round(target === 'mg' ? grams * 1000 : grams);
+};
+
+const parseMeasure = (raw, target) => {
+    if (raw === null || raw === undefined) return null;
+    if (typeof raw === 'number') return round(raw);
+    const match = String(raw).match(new RegExp(`${NUMBER}\\s*${UNIT}?`, 'i'));
+    if (!match) return null;
+    return convert(Number(match[1].replace(/,/g, '')), match[2], target);
+};
+
+const emptyNutrition = () => ({
+    ...Object.fromEntries(Object.keys(FIELDS).map((field) => [field, null])),
+    serving_size: null,
+});
+
+const hasValues = (nutrition) => Object.keys(FIELDS).some((field) => nutrition[field] !== null);
+
+export const normalizeNutrition = (node) => {
+    if (!node || typeof node !== 'object') return null;
+    const nutrition = emptyNutrition();
+    for (const [field, spec] of Object.entries(FIELDS)) {
+        nutrition[field] = parseMeasure(node[spec.jsonLd], spec.unit);
+    }
+    nutrition.serving_size = node.servingSize ? String(node.servingSize).replace(/\s+/g, ' ').trim() : null;
+    return hasValues(nutrition) ? nutrition : null;
+};
+
+// Reads panels written either as "Fat (g) 12" / "Sodium: 480mg" or as prose like "320 calories, 12 g fat"
+export const parseNutritionText = (text) => {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (!clean) return null;
+    const nutrition = emptyNutrition();
+    for (const [field, spec] of Object.entries(FIELDS)) {
+        const labelFirst = clean.match(
+            new RegExp(`\\b${spec.label}\\b\\s*(?:\\(\\s*${UNIT}\\s*\\))?\\s*:?\\s*${NUMBER}\\s*${UNIT}?`, 'i'),
+        );
+        if (labelFirst) {
+            const unit = labelFirst[3] || labelFirst[1];
+            nutrition[field] = convert(Number(labelFirst[2].replace(/,/g, '')), unit, spec.unit);
+            continue;
+        }
+        const valueFirst = clean.match(new RegExp(`${NUMBER}\\s*${UNIT}?\\s+${spec.label}\\b`, 'i'));
+        if (valueFirst) {
+            nutrition[field] = convert(Number(valueFirst[1].replace(/,/g, '')), valueFirst[2], spec.unit);
+        }
+    }
+    const serving = clean.match(/serving size\s*:?\s*([^,;|]+?)(?=\s*(?:[,;|]|calories|$))/i);
+    if (serving) nutrition.serving_size = serving[1].trim();
+    return hasValues(nutrition) ? nutrition : null;
+};
+
+export const parseHtmlNutrition = ($) => {
+    const panel = $(
+        '[data-testid*="Nutrition"], [data-testid*="nutrition"], [class*="nutrition"], [class*="Nutrition"], [itemprop="nutrition"]',
+    ).first();
+    if (!panel.length) return null;
+    // Separate adjacent cells ("<dt>Fat</dt><dd>12</dd>") so numbers do not run together
+    const copy = panel.clone();
+    copy.find('*').each((_, el) => {
+        $(el).append(' ');
+    });
+    return parseNutritionText(copy.text());
+};
+
+// Fills gaps in `base` with values from `extra`, field by field
+export const mergeNutrition = (base, extra) => {
+    if (!base) return extra || null;
+    if (!extra) return base;
+    const merged = { ...base };
+    for (const [field, value] of Object.entries(extra)) {
+        if ((merged[field] === null || merged[field] === undefined) && value !== null) merged[field] = value;
+    }
+    return merged;
+};
@@ -0,0 +1,641 @@
+// Recipe page extraction - JSON-LD first, HTML fallback; usable without the Apify platform
+import { load as cheerioLoad } from 'cheerio';
+import { parseIngredients } from './ingredients.js';
+import { formatMinutes, parseDurationMinutes, parseYield } from './durations.js';
+import { mergeNutrition, normalizeNutrition, parseHtmlNutrition } from './nutrition.js';
+import { classifyDiet, dietLabelFor } from './dietary.js';
+import { convertRecipe } from './conversion.js';
+import { DEFAULT_SITE, siteForUrl } from './sites.js';
+import {
+    parseEquipment,
+    parseHtmlReviews,
+    parseNotes,
+    parseWouldMakeAgain,
+    reviewsFromJsonLd,
+} from './extras.js';
+
+export const normalize = (value) => {
+    if (!value) return null;
+    if (Array.isArray(value)) return value.map(normalize).filter(Boolean);
+    return String(value).replace(/\s+/g, ' ').trim() || null;
+};
+
+export const toAbs = (href, base = DEFAULT_SITE.baseUrl) => {
+    try {
+        return new URL(href, base).href.split('#')[0];
+    } catch {
+        return null;
+    }
+};
+
+// Saved pages parsed from disk (src/cli.js) have file: URLs; they count as the default site's pages
+const pageSite = (url) => siteForUrl(url) || (/^file:/i.test(url) ? DEFAULT_SITE : null);
+
+// A recipe page on a known site; with `site`, only that site's recipes count (listings stay on their own site)
+export const isRecipeUrl = (url, site = null) => {
+    const owner = siteForUrl(url);
+    if (!owner || (site && owner !== site)) return false;
+    return owner.recipePath.test(new URL(url).pathname);
+};
+
+// One spelling per recipe URL: https, lowercase host, no query/hash, no trailing slash or AMP suffix
+export const normalizeRecipeUrl = (url, base = undefined) => {
+    const abs = toAbs(url, base);
+    if (!abs) return null;
+    const parsed = new URL(abs);
+    parsed.protocol = 'https:';
+    parsed.search = '';
+    parsed.pathname = parsed.pathname.replace(/\/amp\/?$/i, '').replace(/\/+$/, '') || '/';
+    return parsed.href;
+};
+
+// <link rel="canonical"> first, og:url second; only a recipe URL counts (paywalls often point elsewhere)
+export const findCanonicalUrl = ($, base = undefined) => {
+    const candidates = [$('link[rel="canonical"]').attr('href'), $('meta[property="og:url"]').attr('content')];
+    for (const candidate of candidates) {
+        const url = candidate ? normalizeRecipeUrl(candidate, base) : null;
+        if (url && isRecipeUrl(url)) return url;
+    }
+    return null;
+};
+
+// A redirect target is the next best thing to a canonical link. loadedUrl is set on every request, so it only
+// counts when it differs from the requested URL, and only when it is a recipe (not a paywall or the home page).
+// Returns the recipe's canonical URL and the other URLs it answers to
+export const resolveRecipeUrls = ({ requestUrl, loadedUrl = null, canonicalUrl = null }) => {
+    const requested = normalizeRecipeUrl(requestUrl);
+    const loaded = loadedUrl ? normalizeRecipeUrl(loadedUrl) : null;
+    const redirectedTo = loaded && loaded !== requested && isRecipeUrl(loaded) ? loaded : null;
+    const fromRedirect = Boolean(!canonicalUrl && redirectedTo);
+    const canonical = canonicalUrl || (fromRedirect ? redirectedTo : requested);
+    return {
+        canonicalUrl: canonical,
+        fromRedirect,
+        aliasUrls: uniq([requested, redirectedTo]).filter((url) => url !== canonical),
+    };
+};
+
+export const arrify = (value) => {
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+};
+
+export const uniq = (list) => [...new Set(list.filter(Boolean))];
+
+export const parseJsonLdScripts = ($) => {
+    const parsed = [];
+    $('script[type="application/ld+json"]').each((_, el) => {
+        const raw = $(el).contents().text();
+        if (!raw) return;
+        try {
+            const json = JSON.parse(raw);
+            if (Array.isArray(json)) {
+                parsed.push(...json);
+            } else if (json?.['@graph']) {
+                parsed.push(...arrify(json['@graph']));
+            } else {
+                parsed.push(json);
+            }
+        } catch {
+            // Malformed LD blocks are common; ignore and continue
+        }
+    });
+    return parsed;
+};
+
+// Keeps HowToSection names: [{ name, steps }]. Loose steps outside any section go to an unnamed section.
+const collectInstructionSections = (instructions) => {
+    const sections = [];
+    let loose = null;
+    const pushStep = (section, text) => {
+        const clean = normalize(text);
+        if (clean && !section.steps.includes(clean)) section.steps.push(clean);
+    };
+    const looseSection = () => {
+        if (!loose) {
+            loose = { name: null, steps: [] };
+            sections.push(loose);
+        }
+        return loose;
+    };
+    const walk = (node, section) => {
+        if (!node) return;
+        if (Array.isArray(node)) {
+            node.forEach((child) => walk(child, section));
+            return;
+        }
+        if (typeof node === 'string') {
+            pushStep(section || looseSection(), node);
+            return;
+        }
+        if (typeof node === 'object') {
+            const type = node['@type'] || node.type;
+            const isSection = type === 'HowToSection' || (Array.isArray(type) && type.includes('HowToSection'));
+            if (isSection) {
+                const named = { name: normalize(node.name), steps: [] };
+                sections.push(named);
+                walk(node.itemListElement, named);
+                // A new loose section starts after a named one so ordering is preserved
+                loose = null;
+                return;
+            }
+            if (node.text || node.description) pushStep(section || looseSection(), node.text || node.description);
+            if (node.itemListElement) walk(node.itemListElement, section);
+        }
+    };
+    walk(instructions, null);
+    return sections.filter((section) => section.steps.length);
+};
+
+const pickImage = (image) => {
+    if (!image) return null;
+    if (typeof image === 'string') return image;
+    if (Array.isArray(image)) {
+        for (const img of image) {
+            const candidate = pickImage(img);
+            if (candidate) return candidate;
+        }
+    }
+    if (typeof image === 'object') return image.url || image['@id'] || null;
+    return null;
+};
+
+export const extractRecipeFromJsonLd = (jsonNodes) => {
+    for (const node of jsonNodes) {
+        if (!node) continue;
+        const possible = Array.isArray(node) ? node : [node];
+        for (const item of possible) {
+            const type = item?.['@type'] || item?.type;
+            const isRecipe = type === 'Recipe' || (Array.isArray(type) && type.includes('Recipe'));
+            if (!isRecipe) continue;
+            const keywords = item.keywords
+                ? (Array.isArray(item.keywords) ? item.keywords : String(item.keywords).split(','))
+                : [];
+            const instructionSections = collectInstructionSections(item.recipeInstructions);
+            const instructions = uniq(instructionSections.flatMap((section) => section.steps));
+            const ingredients = arrify(item.recipeIngredient).map(normalize).filter(Boolean);
+            return {
+                title: normalize(item.name),
+                author: normalize(
+                    Array.isArray(item.author)
+                        ? item.author.map((a) => (typeof a === 'object' ? a.name : a)).join(', ')
+                        : typeof item.author === 'object'
+                            ? item.author?.name
+                            : item.author,
+                ),
+                description: normalize(item.description),
+                prep_time: normalize(item.prepTime),
+                cook_time: normalize(item.cookTime),
+                total_time: normalize(item.totalTime),
+                // recipeYield is often ["4", "4 servings"]; keep the descriptive variant
+                servings: normalize(
+                    arrify(item.recipeYield)
+                        .map(String)
+                        .sort((a, b) => b.length - a.length)[0],
+                ),
+                ingredients,
+                ingredient_groups: ingredients.length ? [{ name: null, ingredients }] : [],
+                instructions,
+                instruction_sections: instructionSections,
+                tags: uniq([
+                    ...arrify(item.recipeCuisine).map(normalize),
+                    ...arrify(item.recipeCategory).map(normalize),
+                    ...keywords.map(normalize),
+                ]).filter(Boolean),
+                image_url: pickImage(item.image),
+                cuisine: normalize(arrify(item.recipeCuisine)[0]),
+                category: normalize(arrify(item.recipeCategory)[0]),
+                date_published: normalize(item.datePublished),
+                date_modified: normalize(item.dateModified),
+                rating_value: item.aggregateRating?.ratingValue || null,
+                rating_count: item.aggregateRating?.ratingCount || item.aggregateRating?.reviewCount || null,
+                rating_best: item.aggregateRating?.bestRating || null,
+                rating_worst: item.aggregateRating?.worstRating || null,
+                nutrition: normalizeNutrition(item.nutrition),
+                reviews: reviewsFromJsonLd(item.review),
+                equipment: uniq(
+                    arrify(item.tool).map((tool) => normalize(typeof tool === 'object' ? tool.name : tool)),
+                ),
+            };
+        }
+    }
+    return null;
+};
+
+const INGREDIENT_CONTAINERS =
+    '[data-testid*="IngredientList"], [data-testid*="ingredient-list"], [class*="ingredient-groups"], [class*="ingredients-list"], .ingredient-group, .ingredients';
+const INGREDIENT_LOOSE_ITEMS = 'li[data-testid*="ingredient"], li[class*="ingredient"], .ingredient, .ingredient-group li';
+const INGREDIENT_ITEMS = `${INGREDIENT_LOOSE_ITEMS}, li`;
+const INSTRUCTION_CONTAINERS =
+    '[data-testid*="InstructionsWrapper"], [data-testid*="instruction-list"], [class*="instructions"], [class*="preparation-steps"], [class*="InstructionGroup"], .preparation-groups';
+const INSTRUCTION_LOOSE_ITEMS = 'li[data-testid*="instruction"], li[class*="instruction"], .preparation-steps li, .step, .direction';
+const INSTRUCTION_ITEMS = `${INSTRUCTION_LOOSE_ITEMS}, li`;
+const GROUP_HEADINGS = 'h2, h3, h4, h5, [class*="SubHeading"], [class*="subheading"], [class*="group-title"], [class*="section-title"]';
+const NOISE_ANCESTORS =
+    'nav, header, footer, aside, [role="navigation"], [role="contentinfo"], [class*="navigation"], [class*="navbar"], [class*="footer"], [class*="related"], [class*="newsletter"], [class*="breadcrumb"]';
+
+// Container titles like "Ingredients" or "Preparation" are not group names
+const GENERIC_GROUP_NAMES = /^(ingredients|instructions|preparation|directions|method|steps)$/i;
+
+const isNoiseElement = ($, el) => $(el).closest(NOISE_ANCESTORS).length > 0;
+
+const cleanStepText = (text) => normalize(String(text || '').replace(/^\s*step\s*\d+[:.]?\s*/i, ''));
+
+// Link-only list items are navigation, not content; short steps like "Serve warm." are kept
+const isLinkOnly = ($el, text) => {
+    const linkText = normalize($el.find('a').text());
+    return Boolean(linkText) && linkText === normalize(text);
+};
+
+// Items matched anywhere on the page, minus navigation/footer noise: used when no container is recognized
+const collectLooseItems = ($, itemSelector, clean = normalize) => {
+    const items = [];
+    $(itemSelector).each((_, el) => {
+        if (isNoiseElement($, el)) return;
+        const text = clean($(el).text());
+        if (text && !isLinkOnly($(el), $(el).text())) items.push(text);
+    });
+    return uniq(items);
+};
+
+// Walks headings and items inside the given containers in document order: [{ name, items }]
+const collectHtmlGroups = ($, containerSelector, itemSelector, clean = normalize) => {
+    const groups = [];
+    let current = null;
+    $(containerSelector).each((_, container) => {
+        if (isNoiseElement($, container)) return;
+        // Nested containers are visited through their outermost match
+        if ($(container).parents(containerSelector).length) return;
+        $(container)
+            .find(`${GROUP_HEADINGS}, ${itemSelector}`)
+            .each((__, el) => {
+                const $el = $(el);
+                // Headings inside an item are step labels ("Step 1"), not group names
+                if ($el.is(GROUP_HEADINGS) && !$el.closest(itemSelector).length) {
+                    const name = normalize($el.text());
+                    current = { name: name && !GENERIC_GROUP_NAMES.test(name) ? name : null, items: [] };
+                    groups.push(current);
+                    return;
+                }
+                if (!$el.is(itemSelector) || $el.parents(itemSelector).length) return;
+                const $copy = $el.clone();
+                $copy.find(GROUP_HEADINGS).remove();
+                const text = clean($copy.text());
+                if (!text || isLinkOnly($copy, $copy.text())) return;
+                if (!current) {
+                    current = { name: null, items: [] };
+                    groups.push(current);
+                }
+                if (!current.items.includes(text)) current.items.push(text);
+            });
+    });
+    return groups.filter((group) => group.items.length);
+};
+
+// "Related" / "You might also like" blocks; the page's own URL is never its own relative
+const findRelatedRecipeUrls = ($, base) => {
+    const self = base ? normalizeRecipeUrl(base) : null;
+    const site = base ? pageSite(base) : null;
+    const urls = [];
+    $(
+        '[class*="related"] a[href], [class*="Related"] a[href], [data-testid*="related"] a[href], ' +
+            '[data-testid*="Related"] a[href], [class*="recirc"] a[href], [class*="Recirc"] a[href]',
+    ).each((_, el) => {
+        const abs = toAbs($(el).attr('href'), base || undefined);
+        if (!abs || !isRecipeUrl(abs, site)) return;
+        const clean = normalizeRecipeUrl(abs);
+        if (clean !== self) urls.push(clean);
+    });
+    return uniq(urls);
+};
+
+export const parseHtmlRecipe = ($, url = null) => {
+    const title =
+        normalize($('h1').first().text()) ||
+        normalize($('[data-testid*="hed"], [class*="headline"]').first().text());
+    const author =
+        normalize($('[rel="author"]').first().text()) ||
+        normalize($('[class*="byline"] a, [class*="contributor"]').first().text());
+    const description =
+        normalize($('[data-testid*="dek"], [class*="description"], [class*="subheading"]').first().text()) ||
+        normalize($('meta[name="description"]').attr('content'));
+    const servings =
+        normalize($('[data-testid*="servings"], [class*="yield"], [class*="servings"]').first().text()) ||
+        normalize($('meta[itemprop="recipeYield"]').attr('content'));
+
+    const ingredientGroups = collectHtmlGroups($, INGREDIENT_CONTAINERS, INGREDIENT_ITEMS).map((group) => ({
+        name: group.name,
+        ingredients: group.items,
+    }));
+    if (!ingredientGroups.length) {
+        const loose = collectLooseItems($, INGREDIENT_LOOSE_ITEMS);
+        if (loose.length) ingredientGroups.push({ name: null, ingredients: loose });
+    }
+
+    const instructionSections = collectHtmlGroups($, INSTRUCTION_CONTAINERS, INSTRUCTION_ITEMS, cleanStepText).map(
+        (group) => ({ name: group.name, steps: group.items }),
+    );
+    if (!instructionSections.length) {
+        const loose = collectLooseItems($, INSTRUCTION_LOOSE_ITEMS, cleanStepText);
+        if (loose.length) instructionSections.push({ name: null, steps: loose });
+    }
+
+    const prepTime =
+        normalize($('time[itemprop="prepTime"]').text()) ||
+        normalize($('[data-testid*="prep-time"], [class*="prep-time"]').first().text());
+    const cookTime =
+        normalize($('time[itemprop="cookTime"]').text()) ||
+        normalize($('[data-testid*="cook-time"], [class*="cook-time"]').first().text());
+    const totalTime =
+        normalize($('time[itemprop="totalTime"]').text()) ||
+        normalize($('[data-testid*="total-time"], [class*="total-time"]').first().text());
+
+    // Only an explicit difficulty label counts; ratings are not a difficulty
+    const difficulty = normalize(
+        ($('[data-testid*="difficulty"], [class*="difficulty"], [itemprop="difficulty"]').first().text() || '')
+            .replace(/^\s*(skill\s*level|difficulty)\s*:?\s*/i, ''),
+    );
+
+    const image =
+        $('meta[property="og:image"]').attr('content') ||
+        $('img[data-testid*="image"], img[class*="recipe"]').first().attr('src');
+
+    const tags = [];
+    $('[data-testid*="tag"], a[href*="tags/"]').each((_, el) => {
+        const text = normalize($(el).text());
+        if (text) tags.push(text);
+    });
+
+    return {
+        title,
+        author,
+        description,
+        prep_time: prepTime,
+        cook_time: cookTime,
+        total_time: totalTime,
+        servings,
+        difficulty,
+        ingredients: uniq(ingredientGroups.flatMap((group) => group.ingredients)),
+        ingredient_groups: ingredientGroups,
+        instructions: uniq(instructionSections.flatMap((section) => section.steps)),
+        instruction_sections: instructionSections,
+        image_url: image || null,
+        tags: uniq(tags),
+        nutrition: parseHtmlNutrition($),
+        reviews: parseHtmlReviews($),
+        would_make_again_pct: parseWouldMakeAgain($),
+        notes: parseNotes($),
+        equipment: parseEquipment($, ingredientGroups.flatMap((group) => group.ingredients)),
+        related_recipe_urls: findRelatedRecipeUrls($, url),
+    };
+};
+
+const isFilled = (value) =>
+    value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && !value.length);
+
+// Tags every filled field of a partial recipe with where it came from: "jsonld", "html" or "alternate:<url>"
+const withProvenance = (recipe, source) => {
+    if (!recipe) return null;
+    const provenance = {};
+    for (const [field, value] of Object.entries(recipe)) {
+        if (isFilled(value)) provenance[field] = source;
+    }
+    return { ...recipe, _provenance: provenance };
+};
+
+// "jsonld" + "html" -> "jsonld+html" when both sources contributed to a list field
+const combineSources = (current, added) =>
+    current && added && !current.split('+').includes(added) ? `${current}+${added}` : current || added;
+
+export const mergeRecipe = (base, extra) => {
+    if (!extra) return base || {};
+    const merged = { ...(base || {}) };
+    const provenance = { ...(base?._provenance || {}) };
+    const sourceOf = (field) => extra._provenance?.[field] || null;
+    const fields = [
+        'title',
+        'author',
+        'description',
+        'prep_time',
+        'cook_time',
+        'total_time',
+        'servings',
+        'image_url',
+        'cuisine',
+        'category',
+        'difficulty',
+        'date_published',
+        'date_modified',
+        'rating_value',
+        'rating_count',
+        'rating_best',
+        'rating_worst',
+        'would_make_again_pct',
+        'canonical_url',
+    ];
+    for (const field of fields) {
+        if (!merged[field] && extra[field]) {
+            merged[field] = extra[field];
+            provenance[field] = sourceOf(field);
+        }
+    }
+    // List fields are unioned; the provenance names every source that added an entry
+    const mergeList = (field, combine) => {
+        if (!extra[field]?.length) return;
+        const before = merged[field]?.length || 0;
+        merged[field] = combine(merged[field] || [], extra[field]);
+        if (merged[field].length > before) provenance[field] = combineSources(provenance[field], sourceOf(field));
+    };
+    mergeList('ingredients', (current, added) => uniq([...current, ...added]));
+    mergeList('instructions', (current, added) => uniq([...current, ...added]));
+    mergeList('tags', (current, added) => uniq([...current, ...added]));
+    // JSON-LD reviews are structured; page reviews are only used when there are none
+    mergeList('reviews', (current, added) => (current.length ? current : added));
+    mergeList('notes', (current, added) => {
+        const known = new Set(current.map((note) => note.text));
+        return [...current, ...added.filter((note) => !known.has(note.text))];
+    });
+    mergeList('equipment', (current, added) => uniq([...current, ...added]));
+    mergeList('related_recipe_urls', (current, added) => uniq([...current, ...added]));
+    // Named groups (e.g. "For the dressing") beat a single unnamed group from JSON-LD
+    const preferGroups = (current, candidate) => {
+        if (!candidate?.length) return false;
+        if (!current?.length) return true;
+        const hasNamed = (groups) => groups.some((group) => group.name);
+        return !hasNamed(current) && hasNamed(candidate);
+    };
+    for (const field of ['ingredient_groups', 'instruction_sections']) {
+        if (preferGroups(merged[field], extra[field])) {
+            merged[field] = extra[field];
+            provenance[field] = sourceOf(field);
+        }
+    }
+    if (extra.nutrition) {
+        const before = JSON.stringify(merged.nutrition || null);
+        merged.nutrition = mergeNutrition(merged.nutrition, extra.nutrition);
+        if (JSON.stringify(merged.nutrition) !== before) {
+            provenance.nutrition = combineSources(provenance.nutrition, sourceOf('nutrition'));
+        }
+    }
+    merged._provenance = provenance;
+    return merged;
+};
+
+// Minutes are parsed from whichever source filled the raw field (ISO 8601 from JSON-LD, text from HTML)
+const timingFields = (recipe) => {
+    const prep = parseDurationMinutes(recipe.prep_time);
+    const cook = parseDurationMinutes(recipe.cook_time);
+    const summed = prep !== null || cook !== null ? (prep || 0) + (cook || 0) : null;
+    const total = parseDurationMinutes(recipe.total_time) ?? summed;
+    return {
+        prep_minutes: prep,
+        cook_minutes: cook,
+        total_minutes: total,
+        total_time_text: formatMinutes(total),
+    };
+};
+
+// Without these a record is not a usable recipe
+export const CORE_FIELDS = ['title', 'ingredients', 'instructions'];
+
+// Core fields weigh double in the completeness score
+const SCORED_FIELDS = {
+    title: 2,
+    ingredients: 2,
+    instructions: 2,
+    author: 1,
+    description: 1,
+    image_url: 1,
+    servings: 1,
+    total_time: 1,
+    tags: 1,
+    nutrition: 1,
+    rating_value: 1,
+};
+
+export const missingCoreFields = (recipe) => CORE_FIELDS.filter((field) => !isFilled(recipe?.[field]));
+
+export const hasCoreRecipeData = (recipe) => missingCoreFields(recipe).length === 0;
+
+// 0..1, share of the weighted fields the recipe has
+export const completenessScore = (recipe) => {
+    const weights = Object.entries(SCORED_FIELDS);
+    const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+    const present = weights.reduce((sum, [field, weight]) => sum + (isFilled(recipe?.[field]) ? weight : 0), 0);
+    return Math.round((present / total) * 100) / 100;
+};
+
+// Structured data wins; the page markup fills whatever JSON-LD left out.
+// A source label (e.g. "alternate:<url>") replaces the per-method labels for pages fetched as a fallback.
+export const extractRecipe = ($, url = null, { source = null } = {}) => {
+    const recipe = mergeRecipe(
+        withProvenance(extractRecipeFromJsonLd(parseJsonLdScripts($)), source || 'jsonld') || { _provenance: {} },
+        withProvenance(parseHtmlRecipe($, url), source || 'html'),
+    );
+    const canonical = findCanonicalUrl($, url || undefined);
+    if (canonical) {
+        recipe.canonical_url = canonical;
+        recipe._provenance.canonical_url = source || 'html';
+    }
+    return recipe;
+};
+
+// The dataset item for one recipe; context fields say where the crawl found it
+export const buildRecipeItem = (
+    recipe,
+    {
+        url = null,
+        recipeType = null,
+        includeReviews = false,
+        maxReviews = 10,
+        includeExtras = true,
+        aliasUrls = [],
+        origin = null,
+        discoveredFrom = null,
+        depth = 0,
+        targetUnits = null,
+        targetServings = null,
+    } = {},
+) => {
+    const diet = classifyDiet(recipe);
+    const yieldFields = parseYield(recipe.servings);
+    const wantedLabel = dietLabelFor(recipeType);
+    const item = {
+        // A missing title stays missing; _missing_core_fields reports it instead of a slug guess
+        title: recipe.title || null,
+        author: recipe.author || null,
+        description: recipe.description || null,
+        recipe_type: recipeType,
+        // null when recipeType is not a diet ("dessert"), otherwise whether the ingredients agree
+        recipe_type_match: wantedLabel ? diet.dietary_labels.includes(wantedLabel) : null,
+        ...diet,
+        ingredients: recipe.ingredients || [],
+        ingredients_count: recipe.ingredients ? recipe.ingredients.length : 0,
+        ingredients_parsed: parseIngredients(recipe.ingredients || []),
+        ingredient_groups: recipe.ingredient_groups || [],
+        instructions: recipe.instructions?.join(' | ') || null,
+        instructions_list: recipe.instructions || [],
+        instruction_sections: recipe.instruction_sections || [],
+        prep_time: recipe.prep_time || null,
+        cook_time: recipe.cook_time || null,
+        total_time: recipe.total_time || null,
+        servings: recipe.servings || null,
+        ...timingFields(recipe),
+        ...yieldFields,
+        difficulty: recipe.difficulty || null,
+        cuisine: recipe.cuisine || null,
+        category: recipe.category || null,
+        tags: recipe.tags || [],
+        image_url: recipe.image_url || null,
+        date_published: recipe.date_published || null,
+        date_modified: recipe.date_modified || null,
+        rating_value: recipe.rating_value || null,
+        rating_count: recipe.rating_count || null,
+        rating_best: recipe.rating_best || null,
+        rating_worst: recipe.rating_worst || null,
+        nutrition: recipe.nutrition || null,
+        ...(includeReviews ? { reviews: (recipe.reviews || []).slice(0, maxReviews) } : {}),
+        ...(includeExtras
+            ? {
+                  would_make_again_pct: recipe.would_make_again_pct ?? null,
+                  notes: recipe.notes || [],
+                  equipment: recipe.equipment || [],
+                  related_recipe_urls: recipe.related_recipe_urls || [],
+              }
+            : {}),
+        // Converted copies sit next to the originals and only appear when a target is asked for
+        ...(targetUnits || targetServings
+            ? convertRecipe(
+                  {
+                      ingredients: recipe.ingredients || [],
+                      instructions: recipe.instructions || [],
+                      yieldQuantity: yieldFields.yield_quantity,
+                      yieldUnit: yieldFields.yield_unit,
+                  },
+                  { targetUnits, targetServings },
+              )
+            : {}),
+        url,
+        canonical_url: recipe.canonical_url || (url ? normalizeRecipeUrl(url) : null),
+        alias_urls: aliasUrls,
+        start_url: origin?.start_url || null,
+        search_query: origin?.search_query || null,
+        discovered_from: discoveredFrom,
+        depth,
+        scraped_at: new Date().toISOString(),
+        _source: (siteForUrl(recipe.canonical_url || url) || DEFAULT_SITE).source,
+    };
+    // Provenance only for fields the item actually carries (reviews and extras are optional)
+    item._provenance = Object.fromEntries(
+        Object.entries(recipe._provenance || {}).filter(([field]) => field in item),
+    );
+    item._completeness = completenessScore(recipe);
+    item._missing_core_fields = missingCoreFields(recipe);
+    return item;
+};
+
+// One saved or fetched page in, one dataset item out (same shape the actor pushes)
+export const parseRecipePage = (html, url = null, options = {}) => {
+    const $ = cheerioLoad(html);
+    return buildRecipeItem(extractRecipe($, url), { ...options, url });
+};
@@ -0,0 +1,130 @@
+// Sitemap discovery - robots.txt -> sitemap index -> nested sitemaps -> recipe URLs
+import { gunzipSync } from 'node:zlib';
+import { load as cheerioLoad } from 'cheerio';
+
+const toDate = (value) => {
+    if (!value) return null;
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time);
+};
+
+export const parseRobotsSitemaps = (text, base) => {
+    const urls = [];
+    for (const line of String(text || '').split(/\r?\n/)) {
+        const match = line.match(/^\s*sitemap\s*:\s*(\S+)/i);
+        if (!match) continue;
+        try {
+            urls.push(new URL(match[1], base).href);
+        } catch {
+            // Ignore malformed sitemap lines
+        }
+    }
+    return [...new Set(urls)];
+};
+
+// Returns child sitemaps (from a <sitemapindex>) and page URLs (from a <urlset>) with their lastmod
+export const parseSitemapXml = (xml, base) => {
+    const $ = cheerioLoad(String(xml || ''), { xmlMode: true });
+    const read = (selector) => {
+        const entries = [];
+        $(selector).each((_, el) => {
+            const loc = $(el).children('loc').first().text().trim();
+            if (!loc) return;
+            try {
+                entries.push({
+                    loc: new URL(loc, base).href,
+                    lastmod: toDate($(el).children('lastmod').first().text().trim()),
+                });
+            } catch {
+                // Skip entries that do not resolve to a URL
+            }
+        });
+        return entries;
+    };
+    return { sitemaps: read('sitemapindex > sitemap'), urls: read('urlset > url') };
+};
+
+// Wraps an HTTP getter so .gz sitemaps are inflated. Only http(s) is fetched: sitemap URLs come from
+// actor input and from the sitemaps themselves, and neither may point at the local filesystem
+export const createTextFetcher = (httpGet) => async (url) => {
+    if (!/^https?:\/\//i.test(url)) throw new Error(`Unsupported sitemap URL ${url}: only http(s) is allowed`);
+    const res = await httpGet(url);
+    if (!res || res.statusCode < 200 || res.statusCode >= 400) {
+        throw new Error(`HTTP ${res?.statusCode ?? 'error'} for ${url}`);
+    }
+    const body = res.body;
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body ?? ''));
+    // gzip magic bytes - servers send .xml.gz files as raw gzip, not as Content-Encoding
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) return gunzipSync(buffer).toString('utf8');
+    return buffer.toString('utf8');
+};
+
+// Walks robots.txt (or the given sitemap URLs) down to page URLs accepted by `match`.
+// `since` drops URLs and whole child sitemaps whose lastmod is older; entries without lastmod are kept.
+export const discoverSitemapUrls = async ({
+    baseUrl,
+    sitemapUrls = [],
+    fetchText,
+    match = () => true,
+    since = null,
+    limit = Number.MAX_SAFE_INTEGER,
+    log = null,
+}) => {
+    const sinceDate = toDate(since);
+    const queue = [...sitemapUrls];
+
+    if (!queue.length) {
+        const robotsUrl = new URL('/robots.txt', baseUrl).href;
+        try {
+            queue.push(...parseRobotsSitemaps(await fetchText(robotsUrl), robotsUrl));
+        } catch (err) {
+            log?.warning(`robots.txt unavailable (${err.message}), falling back to /sitemap.xml`);
+        }
+        if (!queue.length) queue.push(new URL('/sitemap.xml', baseUrl).href);
+    }
+
+    const visited = new Set();
+    const found = new Map();
+    const stats = { sitemaps: 0, failed: 0, skippedByDate: 0 };
+
+    while (queue.length && found.size < limit) {
+        const sitemapUrl = queue.shift();
+        if (visited.has(sitemapUrl)) continue;
+        visited.add(sitemapUrl);
+
+        let xml;
+        try {
+            xml = await fetchText(sitemapUrl);
+        } catch (err) {
+            stats.failed += 1;
+            log?.warning(`Sitemap ${sitemapUrl} failed: ${err.message}`);
+            continue;
+        }
+        stats.sitemaps += 1;
+
+        const { sitemaps, urls } = parseSitemapXml(xml, sitemapUrl);
+        for (const child of sitemaps) {
+            if (sinceDate && child.lastmod && child.lastmod < sinceDate) {
+                stats.skippedByDate += 1;
+                continue;
+            }
+            queue.push(child.loc);
+        }
+        for (const entry of urls) {
+            if (found.size >= limit) break;
+            if (!match(entry.loc) || found.has(entry.loc)) continue;
+            if (sinceDate && entry.lastmod && entry.lastmod < sinceDate) {
+                stats.skippedByDate += 1;
+                continue;
+            }
+            found.set(entry.loc, {
+                url: entry.loc,
+                lastmod: entry.lastmod ? entry.lastmod.toISOString() : null,
+                sitemap: sitemapUrl,
+            });
+        }
+        log?.debug(`Sitemap ${sitemapUrl}: ${sitemaps.length} child sitemaps, ${urls.length} URLs`);
+    }
+
+    return { entries: [...found.values()], stats };
+};
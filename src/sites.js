@@ -0,0 +1,58 @@
+// Site adapters - everything that differs between the Condé Nast recipe sites the actor scrapes.
+// Recipe pages share the same JSON-LD and page structure, so an adapter only describes URLs and listings.
+
+// Variants of the page that tend to skip the paywall or the client-side rendering; the page itself
+// was just loaded, so it is not one of them
+const condeNastAlternates = (url) => {
+    const cleaned = url.split('?')[0].replace(/\/$/, '');
+    return [`${cleaned}?output=1`, `${cleaned}?page=all`, `${cleaned}/amp`];
+};
+
+export const epicurious = {
+    name: 'epicurious',
+    label: 'Epicurious',
+    source: 'epicurious.com',
+    baseUrl: 'https://www.epicurious.com',
+    hosts: ['epicurious.com'],
+    recipePath: /\/recipes\/food\/views\/[^/]+/,
+    searchUrl: (query) => `https://www.epicurious.com/search?q=${encodeURIComponent(query)}`,
+    listing: {
+        linkSelector: 'a[href*="/recipes/food/views/"], [data-link-type="recipe"] a, .recipe-card a',
+        nextPageSelector: null,
+    },
+    alternateUrls: condeNastAlternates,
+};
+
+export const bonAppetit = {
+    name: 'bonappetit',
+    label: 'Bon Appétit',
+    source: 'bonappetit.com',
+    baseUrl: 'https://www.bonappetit.com',
+    hosts: ['bonappetit.com'],
+    recipePath: /\/recipe\/[^/]+/,
+    searchUrl: (query) => `https://www.bonappetit.com/search?q=${encodeURIComponent(query)}`,
+    listing: {
+        linkSelector: 'a[href*="/recipe/"], [data-testid*="SummaryItem"] a',
+        nextPageSelector: '[data-testid*="pagination"] a[aria-label*="Next"]',
+    },
+    alternateUrls: condeNastAlternates,
+};
+
+export const SITES = [epicurious, bonAppetit];
+
+// Relative links resolve against it
+export const DEFAULT_SITE = epicurious;
+
+// www., amp. and other subdomains belong to the same site
+export const siteForUrl = (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    const host = parsed.hostname.toLowerCase();
+    return SITES.find((site) => site.hosts.some((name) => host === name || host.endsWith(`.${name}`))) || null;
+};
+
+export const siteByName = (name) => SITES.find((site) => site.name === String(name || '').trim().toLowerCase()) || null;
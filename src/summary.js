@@ -0,0 +1,103 @@
+// Run summary - what the crawl visited, found and saved, so a drop in extraction quality is visible per run
+
+const roundOrNull = (value) => (Number.isFinite(value) ? Math.round(value) : null);
+
+const ratio = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : null);
+
+export const createRunSummary = ({ now = () => Date.now() } = {}) => {
+    const startedAt = now();
+    const listing = { visited: 0, failed: 0, without_links: 0 };
+    const links = { jsonld: 0, html: 0, html_only: 0, new: 0 };
+    const listingEnds = {};
+    const attempted = new Set();
+    const failures = {};
+    const alternates = { fired: 0, succeeded: 0, requests: 0 };
+    let savedDetails = 0;
+    let completenessTotal = 0;
+    let stopRequested = null;
+
+    return {
+        listingVisited: ({ jsonld, html, htmlOnly, fresh }) => {
+            listing.visited += 1;
+            links.jsonld += jsonld;
+            links.html += html;
+            links.html_only += htmlOnly;
+            links.new += fresh;
+            if (!jsonld && !html) listing.without_links += 1;
+        },
+        listingFailed: () => {
+            listing.failed += 1;
+        },
+        // Why a listing chain stopped paginating: results_wanted, max_pages or no_next_page
+        listingEnded: (reason) => {
+            listingEnds[reason] = (listingEnds[reason] || 0) + 1;
+        },
+        // Keyed by request so retries of the same recipe count once
+        detailAttempted: (key) => {
+            attempted.add(key);
+        },
+        detailSaved: (item) => {
+            savedDetails += 1;
+            completenessTotal += item._completeness ?? 0;
+        },
+        detailFailed: (reason) => {
+            failures[reason] = (failures[reason] || 0) + 1;
+        },
+        alternateFallback: ({ requests, succeeded }) => {
+            alternates.fired += 1;
+            alternates.requests += requests;
+            if (succeeded) alternates.succeeded += 1;
+        },
+        stopRequested: (reason) => {
+            stopRequested ??= reason;
+        },
+        // Counts kept elsewhere (saved, duplicates, filters, blocks) are passed in by the caller
+        toJSON: ({
+            saved = 0,
+            resultsWanted = null,
+            duplicates = 0,
+            filtered = 0,
+            unchanged = 0,
+            blocked = 0,
+            crawlerStats = null,
+            ...extra
+        } = {}) => {
+            const finishedAt = now();
+            const failed = Object.values(failures).reduce((sum, count) => sum + count, 0);
+            let stopReason = 'queue_exhausted';
+            if (stopRequested || (resultsWanted && saved >= resultsWanted)) stopReason = 'results_wanted';
+            else if (listingEnds.max_pages) stopReason = 'max_pages';
+            else if (listingEnds.no_next_page) stopReason = 'no_next_page';
+            return {
+                ...extra,
+                stop_reason: stopReason,
+                listing_ends: { ...listingEnds },
+                recipes_saved: saved,
+                results_wanted: resultsWanted,
+                listing_pages: { ...listing },
+                links: { ...links },
+                details: {
+                    attempted: attempted.size,
+                    saved: savedDetails,
+                    failed,
+                    failed_by_reason: { ...failures },
+                    duplicates,
+                    filtered,
+                    unchanged,
+                    success_rate: ratio(savedDetails, attempted.size),
+                    avg_completeness: savedDetails ? Math.round((completenessTotal / savedDetails) * 100) / 100 : null,
+                },
+                alternate_fallback: { ...alternates, success_rate: ratio(alternates.succeeded, alternates.fired) },
+                blocked,
+                timing: {
+                    started_at: new Date(startedAt).toISOString(),
+                    finished_at: new Date(finishedAt).toISOString(),
+                    duration_secs: Math.round((finishedAt - startedAt) / 1000),
+                    // crawlee reports null averages when no request finished
+                    avg_request_ms: roundOrNull(crawlerStats?.requestAvgFinishedDurationMillis),
+                    requests_per_minute: roundOrNull(crawlerStats?.requestsFinishedPerMinute),
+                },
+            };
+        },
+    };
+};
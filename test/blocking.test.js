@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { load as cheerioLoad } from 'cheerio';
+import { blockFromStatus, createThrottle, detectBlock, statusFromError } from '../src/blocking.js';
+
+test('statusFromError reads both crawlee error messages', () => {
+    assert.equal(statusFromError(new Error('Request blocked - received 403 status code.')), 403);
+    assert.equal(statusFromError(new Error('503 - Internal Server Error: <html>Service Unavailable')), 503);
+    assert.equal(statusFromError(new Error('Navigation timed out')), null);
+    assert.deepEqual(blockFromStatus(statusFromError(new Error('503 - Internal Server Error: '))), {
+        type: 'unavailable',
+        status: 503,
+        reason: 'HTTP 503',
+    });
+    assert.equal(blockFromStatus(500), null);
+});
+
+test('detectBlock flags challenge pages and only flags weak markers on empty pages', () => {
+    const challenge = cheerioLoad('<title>Just a moment...</title>');
+    assert.equal(detectBlock(challenge, { hasContent: true }).type, 'captcha');
+    const paywall = cheerioLoad('<body><div class="paywall">Subscribe now to continue reading</div></body>');
+    assert.equal(detectBlock(paywall).type, 'paywall');
+    assert.equal(detectBlock(paywall, { hasContent: true }), null);
+    assert.equal(detectBlock(cheerioLoad('<p>Lentil Soup</p>'), { statusCode: 200 }), null);
+});
+
+// Stands in for crawlee's AutoscaledPool
+const createPool = () => {
+    const calls = [];
+    return {
+        calls,
+        maxConcurrency: 8,
+        desiredConcurrency: 8,
+        pause: async () => calls.push('pause'),
+        resume: () => calls.push('resume'),
+    };
+};
+
+test('createThrottle halves concurrency and resumes after the pause', async () => {
+    const pool = createPool();
+    const throttle = createThrottle({ getPool: () => pool, maxConcurrency: 8, defaultPauseMs: 10 });
+    throttle.onRateLimited();
+    assert.equal(pool.maxConcurrency, 4);
+    await sleep(30);
+    assert.deepEqual(pool.calls, ['pause', 'resume']);
+    assert.deepEqual(throttle.stats(), { max_concurrency: 8, current_concurrency: 4, lowest_concurrency: 4 });
+});
+
+test('createThrottle.stop clears a pending pause timer', async () => {
+    const pool = createPool();
+    const throttle = createThrottle({ getPool: () => pool, maxConcurrency: 8, defaultPauseMs: 10 });
+    throttle.onRateLimited();
+    throttle.stop();
+    await sleep(30);
+    assert.deepEqual(pool.calls, ['pause']);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertIngredientLine, convertRecipe, convertTemperatures, formatFraction } from '../src/conversion.js';
+
+test('count units are scaled like everything else and flagged', () => {
+    const garlic = convertIngredientLine('2 cloves garlic', { factor: 2 });
+    assert.equal(garlic.text, '4 cloves garlic');
+    assert.equal(garlic.quantity, 4);
+    assert.equal(garlic.scaled, true);
+    assert.equal(garlic.flag, 'unit_not_convertible');
+    assert.equal(convertIngredientLine('1 bunch kale', { factor: 2, targetUnits: 'metric' }).text, '2 bunches kale');
+    assert.equal(convertIngredientLine('3 large eggs', { factor: 2 }).text, '6 large eggs');
+    assert.equal(convertIngredientLine('1 cup milk', { factor: 2 }).text, '2 cups milk');
+});
+
+test('lines without a quantity pass through unchanged', () => {
+    const salt = convertIngredientLine('Salt to taste', { factor: 2, targetUnits: 'metric' });
+    assert.equal(salt.text, 'Salt to taste');
+    assert.equal(salt.flag, 'no_quantity');
+});
+
+test('package sizes are converted on flagged lines too', () => {
+    const can = convertIngredientLine('1 (14-oz.) can tomatoes', { targetUnits: 'metric' });
+    assert.equal(can.text, '1 (400-g) can tomatoes');
+    assert.equal(can.flag, 'unit_not_convertible');
+    assert.equal(
+        convertIngredientLine('1 (14-oz.) can tomatoes', { factor: 2, targetUnits: 'metric' }).text,
+        '2 (400-g) cans tomatoes',
+    );
+});
+
+test('units are pluralized from the amount as printed', () => {
+    // 250 ml is 1.057 cups, printed as "1"
+    assert.equal(convertIngredientLine('250 ml stock', { targetUnits: 'us' }).text, '1 cup stock');
+    assert.equal(convertIngredientLine('1 cup milk', { factor: 1.5 }).text, '1 1/2 cups milk');
+    assert.equal(convertIngredientLine('1 cup milk', { factor: 0.5 }).text, '1/2 cup milk');
+});
+
+test('metric conversion rounds to friendly amounts and keeps spoons', () => {
+    assert.equal(convertIngredientLine('2 cups milk', { targetUnits: 'metric' }).text, '470 ml milk');
+    assert.equal(convertIngredientLine('5 cups stock', { targetUnits: 'metric' }).text, '1.2 l stock');
+    assert.equal(convertIngredientLine('8 oz. butter', { targetUnits: 'metric' }).text, '225 g butter');
+    assert.equal(convertIngredientLine('1/2 tsp salt', { targetUnits: 'metric' }).text, '1/2 tsp salt');
+    assert.equal(formatFraction(0.3), '1/3');
+});
+
+test('convertRecipe only scales from a yield given in servings', () => {
+    const servings = convertRecipe(
+        { ingredients: ['2 cloves garlic'], yieldQuantity: 4, yieldUnit: 'servings' },
+        { targetServings: 8 },
+    );
+    assert.equal(servings.conversion.scale_factor, 2);
+    assert.equal(servings.conversion.scaling_skipped, false);
+    assert.equal(servings.ingredients_converted[0].text, '4 cloves garlic');
+
+    const cookies = convertRecipe(
+        { ingredients: ['1 cup sugar'], yieldQuantity: 24, yieldUnit: 'cookies' },
+        { targetServings: 4, targetUnits: 'metric' },
+    );
+    assert.equal(cookies.conversion.scale_factor, 1);
+    assert.equal(cookies.conversion.scaling_skipped, true);
+    assert.equal(cookies.conversion.source_servings, null);
+    assert.equal(cookies.ingredients_converted[0].text, '235 ml sugar');
+});
+
+test('oven temperatures are converted unless both scales are given', () => {
+    assert.equal(convertTemperatures('Preheat oven to 350°F.', 'metric'), 'Preheat oven to 175°C.');
+    assert.equal(convertTemperatures('Roast at 400° for 20 minutes.', 'metric'), 'Roast at 205°C for 20 minutes.');
+    assert.equal(
+        convertTemperatures('Bake at 425 degrees F (220°C) for 20 min.', 'us'),
+        'Bake at 425 degrees F (220°C) for 20 min.',
+    );
+    assert.equal(convertTemperatures('Cool 10°.', 'metric'), 'Cool 10°.');
+});
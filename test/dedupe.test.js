@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { contentFingerprint, createDuplicateIndex } from '../src/dedupe.js';
+
+const VIEWS = 'https://www.epicurious.com/recipes/food/views';
+
+test('contentFingerprint ignores ingredient order, case and spacing', () => {
+    const a = contentFingerprint({ title: 'Lentil Soup', ingredients: ['1 cup lentils', '½ onion'] });
+    const b = contentFingerprint({ title: 'lentil  soup', ingredients: ['1/2 Onion', '1 cup lentils'] });
+    assert.equal(a, b);
+    assert.equal(contentFingerprint({ title: 'Lentil Soup', ingredients: [] }), null);
+});
+
+test('a recipe saved under its canonical URL is found again through it and through its aliases', () => {
+    const index = createDuplicateIndex();
+    index.add({
+        canonicalUrl: `${VIEWS}/lentil-soup`,
+        fingerprint: 'abc',
+        url: `${VIEWS}/lentil-soup-51234`,
+        title: 'Lentil Soup',
+        aliasUrls: [`${VIEWS}/lentil-soup-51234`],
+    });
+    assert.equal(index.find({ canonicalUrl: `${VIEWS}/lentil-soup` }).rule, 'canonical_url');
+    assert.equal(index.find({ canonicalUrl: `${VIEWS}/lentil-soup-51234` }).rule, 'canonical_url');
+    assert.equal(index.find({ canonicalUrl: `${VIEWS}/red-lentil-soup`, fingerprint: 'abc' }).rule, 'content');
+    assert.equal(index.find({ canonicalUrl: `${VIEWS}/red-lentil-soup`, fingerprint: 'xyz' }), null);
+});
+
+test('a duplicate reached through another URL adds that URL as an alias', () => {
+    const index = createDuplicateIndex();
+    const url = `${VIEWS}/lentil-soup`;
+    index.add({ canonicalUrl: url, fingerprint: 'abc', url, title: 'Lentil Soup' });
+    const match = index.find({ canonicalUrl: `${VIEWS}/easy-lentil-soup`, fingerprint: 'abc' });
+    index.merge(match, [`${VIEWS}/easy-lentil-soup`, `${VIEWS}/lentil-soup`]);
+    assert.equal(index.find({ canonicalUrl: `${VIEWS}/easy-lentil-soup` }).rule, 'canonical_url');
+    assert.deepEqual(index.toJSON(), {
+        duplicates: 1,
+        by_rule: { content: 1 },
+        recipes: [
+            {
+                canonical_url: `${VIEWS}/lentil-soup`,
+                url: `${VIEWS}/lentil-soup`,
+                title: 'Lentil Soup',
+                alias_urls: [`${VIEWS}/easy-lentil-soup`],
+            },
+        ],
+    });
+});
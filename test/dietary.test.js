@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyDiet, dietLabelFor } from '../src/dietary.js';
+
+const isGlutenFree = (line) => classifyDiet({ ingredients: [line] }).dietary_labels.includes('gluten-free');
+const hasWheat = (line) => classifyDiet({ ingredients: [line] }).allergens.includes('wheat');
+
+test('wheat foods that do not say wheat or flour rule out gluten-free', () => {
+    const lines = [
+        '4 hamburger buns, split',
+        '6 soft dinner rolls',
+        '2 everything bagels',
+        '4 English muffins, toasted',
+        '1 lb. store-bought pizza dough',
+        '1 (9-inch) refrigerated pie crust',
+        '2 pieces naan',
+        '8 oz. fresh udon',
+        '1 lb. potato gnocchi',
+        '24 wonton wrappers',
+        '30 dumpling wrappers',
+        '24 ladyfingers',
+        '1 cup crushed gingersnaps',
+    ];
+    for (const line of lines) {
+        assert.equal(isGlutenFree(line), false, line);
+        assert.equal(hasWheat(line), true, line);
+    }
+});
+
+test('gluten-free versions and look-alike words keep the label', () => {
+    for (const line of [
+        '4 gluten-free hamburger buns',
+        '1 cup rolled oats, certified gluten-free',
+        '2 cups rice flour',
+        '8 oz. rice noodles',
+        '1 tbsp. olive oil',
+    ]) {
+        assert.equal(isGlutenFree(line), true, line);
+    }
+    assert.equal(hasWheat('1 cup rolled oats'), false);
+});
+
+test('dietLabelFor maps recipe types to diet labels', () => {
+    assert.equal(dietLabelFor('Gluten Free'), 'gluten-free');
+    assert.equal(dietLabelFor('dessert'), null);
+});
+
+test('oyster sauce counts as shellfish, mushroom oyster sauce does not', () => {
+    const shellfish = (line) => classifyDiet({ ingredients: [line] }).allergens.includes('shellfish');
+    assert.equal(shellfish('2 Tbsp. oyster sauce'), true);
+    assert.equal(shellfish('2 Tbsp. mushroom oyster sauce'), false);
+    assert.equal(shellfish('8 oz. oyster mushrooms'), false);
+});
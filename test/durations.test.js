@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDurationMinutes, parseYield } from '../src/durations.js';
+
+test('parseDurationMinutes reads ISO 8601 and page text', () => {
+    assert.equal(parseDurationMinutes('PT1H15M'), 75);
+    assert.equal(parseDurationMinutes('1 hr 15 min'), 75);
+    assert.equal(parseDurationMinutes('2-3 hours'), 180);
+    assert.equal(parseDurationMinutes('45'), 45);
+});
+
+test('parseDurationMinutes ignores parenthetical asides', () => {
+    assert.equal(parseDurationMinutes('1 hour 30 min (includes 30 min chilling)'), 90);
+    assert.equal(parseDurationMinutes('45 minutes (plus 2 hours resting)'), 45);
+});
+
+test('parseYield keeps the unit and maps serving words to servings', () => {
+    assert.deepEqual(parseYield('Makes about 24 cookies'), {
+        yield_quantity: 24,
+        yield_quantity_max: null,
+        yield_unit: 'cookies',
+    });
+    assert.deepEqual(parseYield('Serves 4–6'), { yield_quantity: 4, yield_quantity_max: 6, yield_unit: 'servings' });
+});
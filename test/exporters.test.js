@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { buildExports, EXPORT_FORMATS } from '../src/exporters.js';
+
+const ITEMS = [
+    {
+        title: 'Lentil Soup',
+        ingredients: ['1 cup lentils'],
+        ingredients_parsed: [{ text: '1 cup lentils', quantity: 1, unit: 'cup', item: 'lentils' }],
+        instructions_list: ['Simmer until tender.'],
+        url: 'https://www.epicurious.com/recipes/food/views/lentil-soup',
+    },
+    { title: 'Lentil Soup', ingredients: ['2 cups lentils'], instructions_list: ['Simmer.'] },
+];
+
+test('mealie export is a zip with one recipe JSON per recipe', async () => {
+    const [output] = await buildExports(ITEMS, ['mealie']);
+    assert.equal(output.key, EXPORT_FORMATS.mealie.key);
+    assert.equal(output.contentType, 'application/zip');
+    const zip = await JSZip.loadAsync(output.value);
+    const files = Object.keys(zip.files).filter((name) => !zip.files[name].dir);
+    assert.deepEqual(files.sort(), ['recipes/lentil-soup-2/lentil-soup-2.json', 'recipes/lentil-soup/lentil-soup.json']);
+    const recipe = JSON.parse(await zip.file('recipes/lentil-soup/lentil-soup.json').async('string'));
+    assert.equal(recipe.slug, 'lentil-soup');
+    assert.equal(recipe.name, 'Lentil Soup');
+    assert.equal(recipe.recipeIngredient[0].unit.name, 'cup');
+});
+
+test('cookbooks are titled after the sites the recipes came from', async () => {
+    const items = [
+        { title: 'Lentil Soup', _source: 'bonappetit.com' },
+        { title: 'Cornbread', _source: 'epicurious.com' },
+        { title: 'Pot Roast', _source: 'bonappetit.com' },
+    ];
+    const [markdown, html] = await buildExports(items, ['markdown', 'html']);
+    assert.match(markdown.value, /^# Bon Appétit & Epicurious Cookbook\n/);
+    assert.match(html.value, /<title>Bon Appétit &amp; Epicurious Cookbook<\/title>/);
+    const [untagged] = await buildExports([{ title: 'Lentil Soup' }], ['markdown']);
+    assert.match(untagged.value, /^# Recipe Cookbook\n/);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRecipeFilter } from '../src/filters.js';
+
+const recipe = (ingredients) => ({ ingredients, tags: [], total_minutes: null });
+
+test('allergen keywords exclude every ingredient in the group', () => {
+    const filter = buildRecipeFilter({ excludedIngredients: ['shellfish'] });
+    assert.deepEqual(filter.check(recipe(['1 lb. large shrimp, peeled'])), ['excluded_ingredient:shellfish']);
+    assert.deepEqual(filter.check(recipe(['12 littleneck clams'])), ['excluded_ingredient:shellfish']);
+    assert.deepEqual(filter.check(recipe(['8 oz. oyster mushrooms'])), []);
+
+    const nuts = buildRecipeFilter({ excludedIngredients: ['Tree nuts', 'dairy'] });
+    assert.deepEqual(nuts.check(recipe(['1/2 cup toasted pecans'])), ['excluded_ingredient:tree nuts']);
+    assert.deepEqual(nuts.check(recipe(['2 Tbsp. unsalted butter'])), ['excluded_ingredient:dairy']);
+    assert.deepEqual(nuts.check(recipe(['1 can coconut milk', '2 water chestnuts'])), []);
+});
+
+test('words that name no group match literally', () => {
+    const filter = buildRecipeFilter({ excludedIngredients: ['cilantro', 'kale'] });
+    assert.deepEqual(filter.check(recipe(['1/4 cup chopped cilantro'])), ['excluded_ingredient:cilantro']);
+    assert.deepEqual(filter.check(recipe(['1 bunch Tuscan kale'])), ['excluded_ingredient:kale']);
+    assert.deepEqual(filter.check(recipe(['1 cup parsley leaves'])), []);
+});
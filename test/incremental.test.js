@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createIncrementalState, STATE_KEY } from '../src/incremental.js';
+
+// In-memory stand-in for a key-value store that logs every write
+const createStore = (initial = {}) => {
+    const records = new Map(Object.entries(initial));
+    const writes = [];
+    return {
+        records,
+        writes,
+        getValue: async (key) => records.get(key) ?? null,
+        setValue: async (key, value) => {
+            writes.push(key);
+            if (value === null) records.delete(key);
+            else records.set(key, value);
+        },
+    };
+};
+
+const recipe = (slug, extra = {}) => ({
+    url: `https://www.epicurious.com/recipes/food/views/${slug}`,
+    title: slug,
+    ingredients: ['1 cup lentils'],
+    scraped_at: '2024-05-01T00:00:00.000Z',
+    ...extra,
+});
+
+test('state is split across shard records and only changed shards are rewritten', async () => {
+    const store = createStore();
+    const state = await createIncrementalState(store);
+    for (let i = 0; i < 200; i += 1) state.record(recipe(`recipe-${i}`));
+    await state.persist();
+    assert.ok(!store.records.has(STATE_KEY));
+    const shardKeys = [...store.records.keys()];
+    assert.ok(shardKeys.length > 1 && shardKeys.every((key) => /^SEEN_RECIPES_[0-9a-f]{2}$/.test(key)));
+
+    store.writes.length = 0;
+    state.record(recipe('recipe-0', { title: 'Renamed' }));
+    await state.persist();
+    assert.equal(store.writes.length, 1);
+
+    const reloaded = await createIncrementalState(store);
+    assert.equal(reloaded.size(), 200);
+    assert.equal(reloaded.check(recipe('recipe-1')).change_type, null);
+    assert.deepEqual(reloaded.check(recipe('recipe-0')).changed_fields, ['title']);
+});
+
+test('state saved in the single legacy record is moved into the shards', async () => {
+    const store = createStore();
+    const legacy = await createIncrementalState(createStore());
+    legacy.record(recipe('lentil-soup'));
+    const { url } = recipe('lentil-soup');
+    store.records.set(STATE_KEY, { [url]: legacy.get(url) });
+
+    const state = await createIncrementalState(store);
+    assert.ok(state.has(`${url}/?utm=x`));
+    await state.persist();
+    assert.ok(!store.records.has(STATE_KEY));
+    assert.equal((await createIncrementalState(store)).size(), 1);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIngredientLine, parseNumber, replaceUnicodeFractions, splitMeasure } from '../src/ingredients.js';
+
+test('parseIngredientLine splits quantity, unit, item and preparation', () => {
+    assert.deepEqual(parseIngredientLine('2 1/2 cups finely chopped onion, divided'), {
+        text: '2 1/2 cups finely chopped onion, divided',
+        quantity: 2.5,
+        quantity_max: null,
+        unit: 'cup',
+        item: 'onion',
+        preparation: 'finely chopped, divided',
+        optional: false,
+    });
+    const butter = parseIngredientLine('1 Tbsp. unsalted butter (room temperature)');
+    assert.equal(butter.unit, 'tbsp');
+    assert.equal(butter.item, 'unsalted butter');
+    assert.equal(butter.preparation, 'room temperature');
+    // "cup" must not be read out of "cupcakes"
+    assert.equal(parseIngredientLine('12 cupcakes').unit, null);
+});
+
+test('ranges keep both ends', () => {
+    const ranged = parseIngredientLine('2–3 garlic cloves, minced');
+    assert.equal(ranged.quantity, 2);
+    assert.equal(ranged.quantity_max, 3);
+    assert.equal(ranged.item, 'garlic cloves');
+    assert.equal(parseIngredientLine('4 to 6 sprigs thyme').quantity_max, 6);
+    assert.equal(parseIngredientLine('1 or 2 limes').quantity_max, 2);
+});
+
+test('unicode fractions are read as numbers', () => {
+    assert.equal(replaceUnicodeFractions('1½ cups'), '1 1/2 cups');
+    assert.equal(parseIngredientLine('¾ cup sugar').quantity, 0.75);
+    assert.equal(parseIngredientLine('1½ tsp. kosher salt').quantity, 1.5);
+    assert.equal(parseIngredientLine('⅓ cup olive oil').quantity, 0.333);
+    assert.equal(parseNumber('1/0'), null);
+});
+
+test('package sizes are kept apart from the unit', () => {
+    assert.deepEqual(splitMeasure('about 1 (15-ounce) can chickpeas'), {
+        approx: 'about',
+        quantity: 1,
+        quantity_max: null,
+        size: '15-ounce',
+        unit: 'can',
+        rest: 'chickpeas',
+    });
+    const tomatoes = parseIngredientLine('2 (28-oz.) cans whole peeled tomatoes, drained');
+    assert.equal(tomatoes.unit, 'can');
+    assert.equal(tomatoes.item, 'whole peeled tomatoes');
+    assert.equal(tomatoes.preparation, '28-oz., drained');
+});
+
+test('"to taste" and serving lines are optional and have no quantity', () => {
+    const salt = parseIngredientLine('Kosher salt and freshly ground pepper to taste');
+    assert.equal(salt.quantity, null);
+    assert.equal(salt.optional, true);
+    assert.equal(salt.item, 'Kosher salt and freshly ground pepper');
+    assert.equal(salt.preparation, 'to taste');
+    const pinch = parseIngredientLine('Pinch of cayenne');
+    assert.equal(pinch.unit, 'pinch');
+    assert.equal(pinch.item, 'cayenne');
+    assert.equal(parseIngredientLine('Lemon wedges (for serving)').optional, true);
+    assert.equal(parseIngredientLine('').item, null);
+});
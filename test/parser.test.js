@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { load as cheerioLoad } from 'cheerio';
+import {
+    findCanonicalUrl,
+    normalizeRecipeUrl,
+    parseHtmlRecipe,
+    parseRecipePage,
+    resolveRecipeUrls,
+} from '../src/parser.js';
+
+const PAGES = new URL('./fixtures/pages/', import.meta.url);
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+const readPage = (name) => readFile(new URL(name, PAGES), 'utf8');
+
+test('parseRecipePage reads a saved page with JSON-LD', async () => {
+    const item = parseRecipePage(await readPage('lentil-soup.html'));
+    assert.equal(item.title, 'Lentil Soup');
+    assert.equal(item.author, 'Anna Stockwell');
+    assert.equal(item.ingredients.length, 6);
+    assert.equal(item.instructions_list[2], 'Season with salt.');
+    assert.equal(item.yield_quantity, 4);
+    assert.equal(item.total_minutes, 60);
+    assert.equal(item.rating_value, 4.5);
+    assert.equal(item.canonical_url, 'https://www.epicurious.com/recipes/food/views/lentil-soup');
+    assert.equal(item._source, 'epicurious.com');
+    assert.equal(item._provenance.ingredients, 'jsonld');
+    assert.equal(item._provenance.instructions, 'jsonld');
+    assert.deepEqual(item._missing_core_fields, []);
+});
+
+test('parseRecipePage falls back to the page HTML without JSON-LD', async () => {
+    const item = parseRecipePage(await readPage('buttermilk-biscuits.html'));
+    assert.equal(item.title, 'Buttermilk Biscuits');
+    assert.equal(item.description, 'Flaky, tall and ready in half an hour.');
+    assert.deepEqual(item.ingredients, [
+        '2 cups all-purpose flour',
+        '1 Tbsp. baking powder',
+        '1 tsp. kosher salt',
+        '1/2 cup (1 stick) cold unsalted butter, cubed',
+        '3/4 cup buttermilk',
+    ]);
+    // Step labels are stripped, and the navigation and footer items are not steps
+    assert.equal(item.instructions_list.length, 4);
+    assert.equal(item.instructions_list[0], 'Preheat oven to 425°F. Whisk flour, baking powder and salt in a bowl.');
+    assert.equal(item.instructions_list[3], 'Serve warm.');
+    assert.equal(item.yield_unit, 'biscuits');
+    assert.deepEqual(item.allergens, ['milk', 'wheat']);
+    assert.equal(item._source, 'bonappetit.com');
+    assert.equal(item._provenance.ingredients, 'html');
+    assert.deepEqual(item._missing_core_fields, []);
+});
+
+test('the CLI parses a directory of saved pages into NDJSON', async () => {
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [CLI, '--ndjson', fileURLToPath(PAGES)]);
+    const items = stdout.trim().split('\n').map((line) => JSON.parse(line));
+    // Files are read in name order
+    assert.deepEqual(items.map((item) => item.title), ['Buttermilk Biscuits', 'Lentil Soup']);
+    assert.match(stderr, /Parsed 2 recipe pages/);
+});
+
+test('the HTML fallback keeps short steps and drops link-only menu entries', () => {
+    const $ = cheerioLoad(`
+        <nav><ul><li class="step"><a href="/recipes">Recipes</a></li></ul></nav>
+        <div class="preparation-steps"><ol>
+            <li>Whisk the eggs with the sugar until pale.</li>
+            <li>Chill 1 hour.</li>
+            <li>Serve warm.</li>
+            <li><a href="/recipes/food/views/custard">Custard</a></li>
+        </ol></div>`);
+    assert.deepEqual(parseHtmlRecipe($).instructions, [
+        'Whisk the eggs with the sugar until pale.',
+        'Chill 1 hour.',
+        'Serve warm.',
+    ]);
+});
+
+test('loose steps outside a known container skip links too', () => {
+    const $ = cheerioLoad(`
+        <div><p class="step">Bake 20 min.</p><p class="step"><a href="/print">Print</a></p></div>
+        <footer><p class="step">Subscribe to our newsletter today.</p></footer>`);
+    assert.deepEqual(parseHtmlRecipe($).instructions, ['Bake 20 min.']);
+});
+
+test('normalizeRecipeUrl and findCanonicalUrl give one spelling per recipe', () => {
+    const url = 'https://www.epicurious.com/recipes/food/views/lentil-soup';
+    assert.equal(normalizeRecipeUrl('http://www.epicurious.com/recipes/food/views/lentil-soup/amp/?utm=x#top'), url);
+    assert.equal(normalizeRecipeUrl('/recipes/food/views/lentil-soup/'), url);
+    assert.equal(findCanonicalUrl(cheerioLoad(`<link rel="canonical" href="${url}/">`)), url);
+    // A paywall canonical pointing away from the recipe does not count; og:url is used instead
+    const paywalled = cheerioLoad(
+        `<link rel="canonical" href="https://www.epicurious.com/subscribe"><meta property="og:url" content="${url}">`,
+    );
+    assert.equal(findCanonicalUrl(paywalled), url);
+});
+
+test('resolveRecipeUrls only treats loadedUrl as a redirect when it differs from the request', () => {
+    const views = 'https://www.epicurious.com/recipes/food/views';
+    const same = resolveRecipeUrls({ requestUrl: `${views}/lentil-soup`, loadedUrl: `${views}/lentil-soup/` });
+    assert.deepEqual(same, { canonicalUrl: `${views}/lentil-soup`, fromRedirect: false, aliasUrls: [] });
+    const redirected = resolveRecipeUrls({
+        requestUrl: `${views}/lentil-soup-51234`,
+        loadedUrl: `${views}/lentil-soup`,
+    });
+    assert.deepEqual(redirected, {
+        canonicalUrl: `${views}/lentil-soup`,
+        fromRedirect: true,
+        aliasUrls: [`${views}/lentil-soup-51234`],
+    });
+    // The page's canonical link wins over the redirect, which becomes another alias
+    assert.deepEqual(
+        resolveRecipeUrls({
+            requestUrl: `${views}/lentil-soup-51234`,
+            loadedUrl: `${views}/lentil-soup-2`,
+            canonicalUrl: `${views}/lentil-soup`,
+        }),
+        {
+            canonicalUrl: `${views}/lentil-soup`,
+            fromRedirect: false,
+            aliasUrls: [`${views}/lentil-soup-51234`, `${views}/lentil-soup-2`],
+        },
+    );
+    // A redirect away from recipes (a paywall or the home page) is neither the canonical URL nor an alias
+    assert.deepEqual(
+        resolveRecipeUrls({ requestUrl: `${views}/lentil-soup`, loadedUrl: 'https://www.epicurious.com/' }),
+        { canonicalUrl: `${views}/lentil-soup`, fromRedirect: false, aliasUrls: [] },
+    );
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { gzipSync } from 'node:zlib';
+import { createTextFetcher, discoverSitemapUrls, parseRobotsSitemaps } from '../src/sitemap.js';
+import { isRecipeUrl } from '../src/parser.js';
+
+const FIXTURES = new URL('./fixtures/sitemap/', import.meta.url);
+
+// Serves the fixtures for www.epicurious.com; .gz paths are gzipped on the fly like real .xml.gz sitemaps
+const createFixtureServer = () => {
+    const requested = [];
+    const httpGet = async (url) => {
+        requested.push(url);
+        const { hostname, pathname } = new URL(url);
+        const name = pathname.split('/').pop();
+        if (hostname !== 'www.epicurious.com' || !name) return { statusCode: 404, body: '' };
+        try {
+            const body = await readFile(new URL(name.replace(/\.gz$/, ''), FIXTURES));
+            return { statusCode: 200, body: name.endsWith('.gz') ? gzipSync(body) : body };
+        } catch {
+            return { statusCode: 404, body: '' };
+        }
+    };
+    return { fetchText: createTextFetcher(httpGet), requested };
+};
+
+test('parseRobotsSitemaps collects unique sitemap lines', async () => {
+    const robots = await readFile(new URL('robots.txt', FIXTURES), 'utf8');
+    assert.deepEqual(parseRobotsSitemaps(robots, 'https://www.epicurious.com/robots.txt'), [
+        'https://www.epicurious.com/sitemap.xml',
+    ]);
+});
+
+test('discoverSitemapUrls walks robots.txt, the index and gzipped child sitemaps', async () => {
+    const { fetchText, requested } = createFixtureServer();
+    const { entries, stats } = await discoverSitemapUrls({
+        baseUrl: 'https://www.epicurious.com',
+        fetchText,
+        match: (url) => isRecipeUrl(url),
+    });
+    assert.deepEqual(
+        entries.map((entry) => entry.url),
+        [
+            'https://www.epicurious.com/recipes/food/views/lentil-soup',
+            'https://www.epicurious.com/recipes/food/views/old-fashioned-cornbread',
+            'https://www.epicurious.com/recipes/food/views/miso-glazed-eggplant',
+            'https://www.epicurious.com/recipes/food/views/classic-pot-roast',
+        ],
+    );
+    assert.equal(entries[0].lastmod, '2024-05-20T00:00:00.000Z');
+    assert.equal(entries[2].lastmod, null);
+    // The file:// child listed in the index is refused without being read
+    assert.equal(stats.failed, 1);
+    assert.ok(!requested.some((url) => url.startsWith('file:')));
+});
+
+test('discoverSitemapUrls skips child sitemaps and URLs older than since', async () => {
+    const { fetchText, requested } = createFixtureServer();
+    const { entries, stats } = await discoverSitemapUrls({
+        baseUrl: 'https://www.epicurious.com',
+        fetchText,
+        match: (url) => isRecipeUrl(url),
+        since: '2024-01-01',
+    });
+    assert.deepEqual(
+        entries.map((entry) => entry.url),
+        [
+            'https://www.epicurious.com/recipes/food/views/lentil-soup',
+            'https://www.epicurious.com/recipes/food/views/miso-glazed-eggplant',
+        ],
+    );
+    assert.equal(stats.skippedByDate, 2);
+    assert.ok(!requested.includes('https://www.epicurious.com/sitemap/recipes-2019.xml'));
+});
+
+test('discoverSitemapUrls reads given sitemap URLs instead of robots.txt and honours limit', async () => {
+    const { fetchText, requested } = createFixtureServer();
+    const { entries } = await discoverSitemapUrls({
+        baseUrl: 'https://www.epicurious.com',
+        sitemapUrls: ['https://www.epicurious.com/sitemap/recipes-2024.xml.gz'],
+        fetchText,
+        match: (url) => isRecipeUrl(url),
+        limit: 2,
+    });
+    assert.equal(entries.length, 2);
+    assert.ok(!requested.some((url) => url.endsWith('/robots.txt')));
+});
+
+test('createTextFetcher refuses file: URLs', async () => {
+    const { fetchText, requested } = createFixtureServer();
+    await assert.rejects(fetchText('file:///etc/passwd'), /only http\(s\) is allowed/);
+    assert.equal(requested.length, 0);
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bonAppetit, epicurious, siteByName, siteForUrl } from '../src/sites.js';
+
+test('siteForUrl picks the adapter by hostname, subdomains included', () => {
+    assert.equal(siteForUrl('https://www.epicurious.com/recipes/food/views/x'), epicurious);
+    assert.equal(siteForUrl('https://amp.bonappetit.com/recipe/x'), bonAppetit);
+    assert.equal(siteForUrl('https://example.com/recipes/food/views/x'), null);
+    assert.equal(siteForUrl('not a url'), null);
+    // Saved pages are a parser concern; start URLs on disk have no adapter
+    assert.equal(siteForUrl('file:///tmp/lentil-soup.html'), null);
+    assert.equal(siteByName(' BonAppetit '), bonAppetit);
+});
+
+test('alternate URLs never repeat the page that was just loaded', () => {
+    const url = 'https://www.epicurious.com/recipes/food/views/lentil-soup';
+    const alternates = epicurious.alternateUrls(url);
+    assert.ok(!alternates.includes(url));
+    assert.deepEqual(alternates, [`${url}?output=1`, `${url}?page=all`, `${url}/amp`]);
+    assert.ok(!epicurious.alternateUrls(`${url}/`).includes(url));
+});